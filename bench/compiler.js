@@ -0,0 +1,102 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/*
+  Compare the speed of the interpreted and compiled rules.
+
+  Usage: node bench/compiler.js
+*/
+
+const { execFileSync } = require("child_process");
+const peg = require("../lib/grammar.js");
+const f = require("../lib/func.js");
+
+const BENCHMARKS = {
+  csv: {
+    build(grammar) {
+      grammar.define("file", peg.zeroOrMore(peg.rule("record"), peg.consume("\n")));
+      grammar.define("record", [ peg.rule("field"), peg.zeroOrMore(peg.consume(","), peg.rule("field")) ]);
+      grammar.define("field", peg.choice(peg.rule("quoted"), peg.rule("value")), (field) => field);
+      grammar.define("value", peg.join(peg.zeroOrMore(peg.not(peg.charset(",\n")), peg.any())));
+      grammar.define("quoted", [ peg.consume("\""), peg.join(peg.zeroOrMore(peg.choice([ "\"", "\"" ], peg.anyExcept("\"")))), peg.consume("\"") ], f.JOIN);
+    },
+    start: "file",
+    input: "id,name,\"quoted, value\",42,3.14\n".repeat(10000),
+  },
+  keywords: {
+    build(grammar) {
+      const KEYWORDS = [ "break", "case", "catch", "continue", "default", "do", "else", "for", "function", "if", "return", "switch", "throw", "try", "while" ];
+      grammar.define("program", peg.zeroOrMore(peg.rule("token"), peg.zeroOrMore(" ")));
+      grammar.define("token", peg.choice(peg.rule("keyword"), peg.rule("name")), (token) => token);
+      grammar.define("keyword", [ peg.choice(...KEYWORDS), peg.not(peg.charset("a-z")) ], (keyword) => keyword);
+      grammar.define("name", peg.join(peg.oneOrMore(peg.charset("a-z"))));
+    },
+    start: "program",
+    input: "while if x return switch foo case default bar ".repeat(5000),
+  },
+};
+
+/**
+  Return the median time of several runs, in milliseconds, and the
+  number of steps of a run.
+*/
+function measure(name, options) {
+  const benchmark = BENCHMARKS[name];
+  const grammar = new peg.Grammar(options);
+  benchmark.build(grammar);
+
+  const times = [];
+  let steps;
+  for(let i = 0; i < 21; ++i) {
+    const start = process.hrtime.bigint();
+    const parser = grammar.parser(benchmark.start);
+    parser.accept(benchmark.input);
+    parser.run();
+    times.push(Number(process.hrtime.bigint()-start)/1e6);
+    steps = parser.cc;
+
+    if (parser.status !== "success") {
+      throw new Error(parser.error().message);
+    }
+  }
+
+  return [ times.sort((a, b) => a-b)[times.length >> 1], steps ];
+}
+
+/**
+  Run a benchmark in a fresh process, so the runs don't share the
+  type feedback collected by V8.
+*/
+function run(name, options) {
+  const output = execFileSync(process.execPath, [ __filename, name, JSON.stringify(options) ]);
+
+  return JSON.parse(output);
+}
+
+if (process.argv.length > 2) {
+  console.log(JSON.stringify(measure(process.argv[2], JSON.parse(process.argv[3]))));
+}
+else {
+  for(let name of Object.keys(BENCHMARKS)) {
+    for(let optimize of [ false, true ]) {
+      const [ interpreted, steps ] = run(name, { optimize });
+      const [ compiled ] = run(name, { optimize, compile: true });
+
+      console.log(`${name}${optimize ? " (optimized)" : ""}: ${steps} steps, interpreted ${interpreted.toFixed(0)} ms, compiled ${compiled.toFixed(0)} ms, x${(interpreted/compiled).toFixed(1)}`);
+    }
+  }
+}
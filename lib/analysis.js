@@ -0,0 +1,657 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Static analysis of the VM code.
+
+  The analysis explores all the execution paths of a rule, keeping track
+  of the backtrack entries and of whether some input was consumed or not.
+
+  @module analysis
+*/
+
+const ranges = require("./ranges");
+const { describe } = require("./parser");
+
+/**
+  Instructions consuming one token on success.
+
+  @private
+*/
+const CONSUMING = new Set([
+  "char",
+  "charset",
+  "any",
+  "string",
+  "grapheme",
+  "ichar",
+  "istring",
+  "satisfy",
+  "byte",
+  "bytes",
+  "int",
+  "token",
+]);
+
+/**
+  Instructions neither consuming input nor failing.
+
+  @private
+*/
+const NEUTRAL = new Set([
+  "pushd",
+  "frame",
+  "drop",
+  "reduce",
+  "call",
+  "label",
+  "recover",
+  "protect",
+  "unprotect",
+  "operator",
+  "climb",
+  "pushstate",
+  "popstate",
+]);
+
+/**
+  Explore all the execution paths of a rule.
+
+  @param{Array} code - The VM code of the rule.
+  @param{Set} nullable - The rules known to match the empty string.
+  @return{object} An object whose `nullable` property is true if the rule
+    may succeed without consuming any input, whose `fallible` property is
+    true if the rule may fail, and whose `heads` property is the set of
+    the rules that may be called before consuming any input.
+
+  @private
+*/
+function explore(code, nullable) {
+  const result = {
+    nullable: false,
+    fallible: false,
+    heads: new Set(),
+  };
+
+  const seen = new Set();
+  const pending = [];
+
+  function next(pc, consumed, stack) {
+    const key = `${pc}:${consumed}:${stack && stack.key}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      pending.push({ pc, consumed, stack });
+    }
+  }
+
+  function push(target, consumed, stack) {
+    return {
+      pc: target,
+      consumed: consumed,
+      next: stack,
+      key: `${target}/${consumed}/${stack && stack.key}`,
+    };
+  }
+
+  function backtrack(stack) {
+    if (stack) {
+      next(stack.pc, stack.consumed, stack.next);
+    }
+    else {
+      result.fallible = true;
+    }
+  }
+
+  next(0, false, null);
+  while(pending.length) {
+    const { pc, consumed, stack } = pending.pop();
+    if (pc >= code.length) {
+      continue;
+    }
+
+    const opcode = code[pc];
+    const operand = code[pc+1];
+    if (CONSUMING.has(opcode)) {
+      next(pc+2, true, stack);
+      backtrack(stack);
+    }
+    else if (NEUTRAL.has(opcode)) {
+      next(pc+2, consumed, stack);
+    }
+    else if (opcode === "jsr") {
+      if (!consumed) {
+        result.heads.add(operand);
+      }
+      if (nullable.has(operand)) {
+        next(pc+2, consumed, stack);
+      }
+      next(pc+2, true, stack);
+      backtrack(stack);
+    }
+    else if (opcode === "span") {
+      next(pc+2, consumed, stack);
+      next(pc+2, true, stack);
+    }
+    else if (opcode === "choice") {
+      next(pc+2, consumed, push(pc+2+operand, consumed, stack));
+    }
+    else if ((opcode === "testchar") || (opcode === "testset")) {
+      next(pc+2, true, push(pc+2+operand.offset, consumed, stack));
+      next(pc+2+operand.offset, consumed, stack);
+    }
+    else if (opcode === "commit") {
+      next(pc+2+operand, consumed, stack.next);
+    }
+    else if (opcode === "backcommit") {
+      next(pc+2+operand, stack.consumed, stack.next);
+    }
+    else if (opcode === "fail") {
+      backtrack(stack);
+    }
+    else if (opcode === "ret") {
+      result.nullable = result.nullable || !consumed;
+    }
+    else {
+      // unknown instruction: assume it may fail without consuming input
+      next(pc+2, consumed, stack);
+      backtrack(stack);
+    }
+  }
+
+  return result;
+}
+
+/**
+  Find the rules matching the empty string, and for each rule, the
+  rules it may call before consuming any input.
+
+  @param{Map} rules - The rules of a grammar.
+  @return{object} An object with the `nullable` set and the `heads` map.
+*/
+function analyze(rules) {
+  const nullable = new Set();
+  let heads;
+
+  // Iterate up to the fixed point
+  let changed = true;
+  while(changed) {
+    changed = false;
+    heads = new Map();
+    for(let [name, code] of rules) {
+      const result = explore(code, nullable);
+      heads.set(name, result.heads);
+      if (result.nullable && !nullable.has(name)) {
+        nullable.add(name);
+        changed = true;
+      }
+    }
+  }
+
+  return { nullable, heads };
+}
+
+/**
+  Find the left-recursive rules.
+
+  A rule is left-recursive if it may call itself, directly or indirectly,
+  before consuming any input.
+
+  @param{Map} rules - The rules of a grammar.
+  @return{Set} The names of the left-recursive rules.
+*/
+function leftRecursive(rules) {
+  const { heads } = analyze(rules);
+  const result = new Set();
+
+  for(let name of heads.keys()) {
+    const visited = new Set();
+    const pending = [ ...heads.get(name) ];
+    while(pending.length) {
+      const callee = pending.pop();
+      if (callee === name) {
+        result.add(name);
+        break;
+      }
+      if (!visited.has(callee) && heads.has(callee)) {
+        visited.add(callee);
+        pending.push(...heads.get(callee));
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+  Find how far before the current position the rules may look.
+
+  The result is the sum of all the negative moves in the grammar. This is
+  an upper bound as long as the lookbehinds are not recursively nested.
+
+  @param{Map} rules - The rules of a grammar.
+  @return{number} The maximum lookbehind distance.
+*/
+function lookbehind(rules) {
+  let result = 0;
+  for(let code of rules.values()) {
+    for(let pc = 0; pc < code.length; pc += 2) {
+      if ((code[pc] === "move") && (code[pc+1] < 0)) {
+        result -= code[pc+1];
+      }
+    }
+  }
+
+  return result;
+}
+
+// ========================================================================
+//  Validation
+// ========================================================================
+
+/**
+  Return the names of the rules called by a rule.
+
+  @private
+*/
+function references(code) {
+  const result = new Set();
+  for(let pc = 0; pc < code.length; pc += 2) {
+    if (code[pc] === "jsr") {
+      result.add(code[pc+1]);
+    }
+  }
+
+  return result;
+}
+
+/**
+  Return the code of a fragment of a rule, as a standalone program.
+
+  @private
+*/
+function fragment(code, start, end) {
+  return [ ...code.slice(start, end), "ret", undefined ];
+}
+
+/**
+  Find the loops whose body may match the empty input.
+
+  A loop is compiled as `L1: choice L2, body, commit L1, L2:`.
+
+  @return{Array} The sources of the loops.
+
+  @private
+*/
+function emptyLoops(code, nullable) {
+  const result = [];
+  for(let pc = 0; pc < code.length; pc += 2) {
+    if ((code[pc] !== "commit") || (code[pc+1] >= 0)) {
+      continue;
+    }
+
+    const head = pc+2+code[pc+1];
+    if ((code[head] === "choice") && (head+2+code[head+1] === pc+2)) {
+      if (explore(fragment(code, head+2, pc), nullable).nullable) {
+        result.push(source(code, head, pc+2));
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+  Return the sequence of charsets matched by a program, up to the first
+  instruction that is not a matching instruction. The `exact` property of
+  the result is true if the program matches exactly that sequence.
+
+  @private
+*/
+function prefix(code) {
+  const sets = [];
+  for(let pc = 0; pc < code.length; pc += 2) {
+    const opcode = code[pc];
+    const operand = code[pc+1];
+    if ((opcode === "char") && ([ ...operand ].length === 1)) {
+      const code = operand.codePointAt(0);
+      sets.push(ranges.fromRanges([ [ code, code ] ]));
+    }
+    else if (opcode === "charset") {
+      sets.push(operand);
+    }
+    else if (opcode === "string") {
+      for(let c of operand) {
+        const code = c.codePointAt(0);
+        sets.push(ranges.fromRanges([ [ code, code ] ]));
+      }
+    }
+    else if ((opcode === "ichar") || (opcode === "istring")) {
+      for(let variants of (opcode === "ichar") ? [ operand ] : operand) {
+        const chars = variants.map((variant) => Array.isArray(variant) ? variant[0] : variant);
+        sets.push(ranges.fromRanges(chars.map((c) => [ c.codePointAt(0), c.codePointAt(0) ])));
+        if (chars.some((c, i) => c !== variants[i])) {
+          // the next characters depend on the length of the folding
+          return { sets, exact: false };
+        }
+      }
+    }
+    else if (!NEUTRAL.has(opcode)) {
+      return { sets, exact: false };
+    }
+  }
+
+  return { sets, exact: true };
+}
+
+/**
+  Split the alternatives of an ordered choice.
+
+  An ordered choice is compiled as
+  `choice L1, a1, commit E, L1: choice L2, a2, commit E, L2: ... an, E:`.
+
+  @return{Array} The [start, end] positions of the alternatives in the code.
+
+  @private
+*/
+function alternatives(code, start, end) {
+  const result = [];
+  while(code[start] === "choice") {
+    const next = start+2+code[start+1];
+    if ((code[next-2] !== "commit") || (next+code[next-1] !== end)) {
+      break;
+    }
+
+    result.push([ start+2, next-2 ]);
+    start = next;
+  }
+  result.push([ start, end ]);
+
+  return result;
+}
+
+/**
+  Return the items of the source of a fragment of a rule, in the PEG
+  notation, as far as they can be recovered from the code. Decompiling
+  stops at the first unknown instruction, shown as "...".
+
+  @private
+*/
+function decompile(code, start, end) {
+  const items = [];
+  let literal = "";
+  function push(item) {
+    if (literal) {
+      items.push(JSON.stringify(literal));
+      literal = "";
+    }
+    if (item !== undefined) {
+      items.push(item);
+    }
+  }
+  function group(items) {
+    return (items.length === 1) ? items[0] : `(${items.join(" ")})`;
+  }
+
+  let pc = start;
+  while(pc < end) {
+    const opcode = code[pc];
+    const operand = code[pc+1];
+    const next = pc+2+operand;
+    if ((opcode === "char") || (opcode === "string")) {
+      literal += operand;
+    }
+    else if ((opcode === "ichar") || (opcode === "istring")) {
+      const value = (opcode === "ichar") ? operand[0] : operand.map((variants) => variants[0]).join("");
+      push(`${JSON.stringify(value)}i`);
+    }
+    else if (opcode === "charset") {
+      push(describe({ type: "charset", value: operand }));
+    }
+    else if (opcode === "any") {
+      push(".");
+    }
+    else if (opcode === "jsr") {
+      push(operand);
+    }
+    else if ((opcode === "choice") && (code[next-2] === "commit") && (next+code[next-1] === pc)) {
+      // loop
+      push(`${group(decompile(code, pc+2, next-2))}*`);
+      pc = next;
+      continue;
+    }
+    else if ((opcode === "choice") && (code[next-2] === "fail") && (code[next-4] === "commit") && (code[next-3] === 0)) {
+      // not predicate, and the and predicate as a double negation
+      const predicate = group(decompile(code, pc+2, next-4));
+      push(predicate.startsWith("!") ? `&${predicate.slice(1)}` : `!${predicate}`);
+      pc = next;
+      continue;
+    }
+    else if ((opcode === "choice") && (code[next-2] === "commit") && (code[next-1] >= 0)) {
+      // ordered choice, or optional program if the last alternative is empty
+      const last = next+code[next-1];
+      const alts = alternatives(code, pc, last).map(([ start, end ]) => decompile(code, start, end));
+      const optional = (alts[alts.length-1].length === 0);
+      if (optional) {
+        alts.pop();
+      }
+      const choice = (alts.length === 1) ? group(alts[0]) : `(${alts.map((items) => items.join(" ")).join(" / ")})`;
+      push(optional ? `${choice}?` : choice);
+      pc = last;
+      continue;
+    }
+    else if (!NEUTRAL.has(opcode)) {
+      push("...");
+      break;
+    }
+    pc += 2;
+  }
+  push();
+
+  return items;
+}
+
+/**
+  Return the source of a fragment of a rule, shortened for the diagnostics.
+
+  @private
+*/
+function source(code, start, end) {
+  const result = decompile(code, start, end).join(" ") || "\"\"";
+
+  return (result.length > 40) ? result.slice(0, 37) + "..." : result;
+}
+
+/**
+  Find the alternatives that can't succeed because an earlier alternative
+  always matches instead.
+
+  An alternative is shadowed if an earlier alternative can't fail, or if
+  an earlier alternative matches a sequence of characters that is
+  also a prefix of every match of the later alternative.
+
+  @return{Array} The [shadowing, shadowed] alternatives, each one as an
+    object with its `index` and `source`.
+
+  @private
+*/
+function shadowed(code, nullable) {
+  const result = [];
+  const visited = new Set();
+  for(let pc = 0; pc < code.length; pc += 2) {
+    if ((code[pc] !== "choice") || visited.has(pc)) {
+      continue;
+    }
+
+    // skip the loops, whose commit jumps backward
+    const next = pc+2+code[pc+1];
+    if ((code[next-2] !== "commit") || (code[next-1] < 0)) {
+      continue;
+    }
+
+    const alts = alternatives(code, pc, next+code[next-1]);
+    alts.forEach(([ start ]) => visited.add(start-2));
+    if (alts.length < 2) {
+      continue;
+    }
+
+    const infos = alts.map(([ start, end ]) => ({
+      fallible: explore(fragment(code, start, end), nullable).fallible,
+      prefix: prefix(code.slice(start, end)),
+    }));
+
+    for(let j = 1; j < alts.length; ++j) {
+      for(let i = 0; i < j; ++i) {
+        const a = infos[i];
+        const b = infos[j];
+        if (!a.fallible || (a.prefix.exact
+            && (a.prefix.sets.length <= b.prefix.sets.length)
+            && a.prefix.sets.every((set, k) => ranges.isSubset(b.prefix.sets[k], set)))) {
+          result.push([ i, j ].map((index) => ({ index, source: source(code, ...alts[index]) })));
+          break;
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+  Find the cycles of left-recursive calls.
+
+  @return{Array} The cycles, each one as an array of rule names.
+
+  @private
+*/
+function cycles(heads) {
+  const result = [];
+  const found = new Set();
+
+  for(let name of heads.keys()) {
+    // breadth-first search of the shortest path back to the rule
+    const paths = new Map([ [ name, [ name ] ] ]);
+    const pending = [ name ];
+    while(pending.length) {
+      const caller = pending.shift();
+      const callees = heads.get(caller) ?? [];
+      if (callees.has(name)) {
+        const cycle = paths.get(caller);
+        const key = [ ...cycle ].sort().join(" ");
+        if (!found.has(key)) {
+          found.add(key);
+          result.push(cycle);
+        }
+        break;
+      }
+      for(let callee of callees) {
+        if (!paths.has(callee) && heads.has(callee)) {
+          paths.set(callee, [ ...paths.get(caller), callee ]);
+          pending.push(callee);
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+  Check a grammar for common mistakes.
+
+  @param{Map} rules - The rules of a grammar.
+  @param{string} start - The start rule.
+  @param{function} isMemoized - Return true if a rule is memoized.
+  @param{Map} [sources] - The code of the rules as defined, before the
+    skip rule is interleaved and before the optimization. The loops and
+    the choices are checked in that code. Default to the rules.
+  @return{Array} The diagnostics. See {@link Grammar#validate()}.
+*/
+function validate(rules, start, isMemoized, sources = rules) {
+  const diagnostics = [];
+  function report(type, severity, rule, message) {
+    diagnostics.push({ type, severity, rule, message });
+  }
+
+  // Undefined and unreachable rules
+  if (!rules.has(start)) {
+    report("undefined-rule", "error", start, `The start rule ${start} is not defined`);
+  }
+
+  const reachable = new Set();
+  const pending = [ start ];
+  while(pending.length) {
+    const name = pending.pop();
+    if (reachable.has(name) || !rules.has(name)) {
+      continue;
+    }
+    reachable.add(name);
+
+    for(let callee of references(rules.get(name))) {
+      if (!rules.has(callee)) {
+        report("undefined-rule", "error", name, `Rule ${name} references the undefined rule ${callee}`);
+      }
+      pending.push(callee);
+    }
+  }
+
+  for(let name of rules.keys()) {
+    if (!reachable.has(name)) {
+      report("unreachable-rule", "warning", name, `Rule ${name} is not reachable from ${start}`);
+    }
+  }
+
+  // Left recursion
+  const { nullable, heads } = analyze(rules);
+  for(let cycle of cycles(heads)) {
+    const supported = cycle.every(isMemoized);
+    report(
+      "left-recursion",
+      supported ? "warning" : "error",
+      cycle[0],
+      `Rule ${cycle[0]} is left-recursive: ${[ ...cycle, cycle[0] ].join(" -> ")}`
+        + (supported ? "" : " (memoization is disabled)")
+    );
+  }
+
+  // Loops and choices
+  for(let [ name, code ] of sources) {
+    for(let loop of emptyLoops(code, nullable)) {
+      report("empty-loop", "error", name, `Rule ${name} has a loop whose body may match the empty input: ${loop}`);
+    }
+    for(let [ a, b ] of shadowed(code, nullable)) {
+      report("shadowed-alternative", "warning", name,
+        `Rule ${name} has an alternative #${b.index+1} ${b.source} shadowed by the alternative #${a.index+1} ${a.source}`);
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+  Check if an instruction matches input.
+*/
+function consumes(opcode) {
+  return CONSUMING.has(opcode);
+}
+
+module.exports = {
+  analyze,
+  consumes,
+  leftRecursive,
+  lookbehind,
+  validate,
+};
@@ -0,0 +1,122 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Abstract syntax trees.
+
+  In AST mode, the parsers don't call the action of the rules. They build
+  a tree of nodes instead. See the `ast` option of {@link Parser}.
+
+  @module ast
+*/
+
+/**
+  A node of an abstract syntax tree.
+
+  @param{string} type - The name of the rule that matched.
+  @param{Array} children - The nodes of the sub-rules, in input order.
+  @param{string|Array|Uint8Array} text - The input matched by the rule.
+  @param{number} start - The offset of the start of the match in the input.
+  @param{number} end - The offset of the end of the match in the input.
+*/
+class Node {
+  constructor(type, children, text, start, end) {
+    this.type = type;
+    this.children = children;
+    this.text = text;
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+  Walk a tree in depth-first order.
+
+  The visitor is either a function, called with each node and its parent
+  before visiting the children, or an object with optional `enter` and
+  `leave` methods, called with the same arguments before and after
+  visiting the children. If `enter` (or the visitor function) returns false,
+  the children of the node are skipped.
+
+  @example
+  const names = [];
+  peg.walk(tree, (node) => {
+    if (node.type === "identifier") {
+      names.push(node.text);
+    }
+  });
+
+  @param{Node|Array} tree - The root of the tree, or an array of nodes.
+  @param{function|object} visitor - The visitor.
+*/
+function walk(tree, visitor) {
+  const enter = (typeof visitor === "function") ? visitor : visitor.enter;
+  const leave = (typeof visitor === "function") ? undefined : visitor.leave;
+
+  const visit = (node, parent) => {
+    if (enter && (enter(node, parent) === false)) {
+      return;
+    }
+    for(let child of node.children) {
+      visit(child, node);
+    }
+    if (leave) {
+      leave(node, parent);
+    }
+  };
+
+  for(let node of Array.isArray(tree) ? tree : [ tree ]) {
+    visit(node, undefined);
+  }
+}
+
+/**
+  Return the input matched by a tree.
+
+  The text of the nodes without children is printed as is, the other
+  nodes are printed by concatenating their children. For concrete syntax
+  trees, the result is the input matched by the root of the tree, including
+  the changes made to the text of the leaves.
+
+  @example
+  const parser = grammar.parser("program", undefined, { cst: true });
+  parser.accept(source);
+  parser.run();
+
+  const tree = parser.result();
+  peg.walk(tree, (node) => {
+    if (node.type === "identifier") {
+      node.text = rename(node.text);
+    }
+  });
+  const renamed = peg.print(tree);
+
+  @param{Node|Array} tree - The root of the tree, or an array of nodes.
+*/
+function print(tree) {
+  if (Array.isArray(tree)) {
+    return tree.map(print).join("");
+  }
+
+  return tree.children.length ? print(tree.children) : tree.text;
+}
+
+module.exports = {
+  Node,
+  walk,
+  print,
+};
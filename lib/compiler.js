@@ -0,0 +1,473 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Compilation of the VM code to JavaScript functions.
+
+  The code of a rule is turned into a function executing the instructions
+  of the rule until the control leaves the rule. The function is a
+  `switch` statement over the program counter, with one case per
+  instruction. The matching instructions, the backtracking, and the
+  plain calls and returns are inlined. All the other instructions are
+  delegated to the VM methods, so the compiled code has exactly the same
+  semantics as the interpreter.
+
+  A plain call (to a rule neither memoized nor a token rule) runs the
+  compiled function of the called rule directly, up to a maximum nesting
+  depth. Then, the control goes back to the VM.
+
+  @module compiler
+*/
+
+const { Ranges, fromRanges, toRanges } = require("./ranges");
+
+/**
+  Save the registers cached in local variables.
+
+  @private
+*/
+const SAVE = "vm.tx = tx; vm.sx = sx; vm.cc = cc;";
+
+/**
+  Reload the registers cached in local variables.
+
+  @private
+*/
+const LOAD = "pc = vm.pc; tx = vm.tx; sx = vm.sx;";
+
+/**
+  The maximum number of compiled functions calling each other directly.
+
+  @private
+*/
+const MAX_DEPTH = 64;
+
+/**
+  The maximum number of cases of a `switch` statement.
+
+  The cases of a `switch` statement are tested one after the other, so
+  the cost of a jump grows with the size of the rule. The instructions
+  are split in groups, dispatched by nested `switch` statements.
+
+  @private
+*/
+const FANOUT = 8;
+
+/**
+  Return the JavaScript statements jumping to the instruction at the
+  program counter, then running the instructions until the end of a group.
+
+  @param{Array} cases - The statements executing each instruction.
+  @param{number} first - The index of the first instruction of the group.
+  @param{number} count - The number of instructions in the group.
+
+  @private
+*/
+function dispatch(cases, first, count) {
+  // The number of instructions in each subgroup
+  let size = 1;
+  while(size*FANOUT < count) {
+    size *= FANOUT;
+  }
+
+  const groups = [];
+  for(let index = first; index < first+count; index += size) {
+    if (size === 1) {
+      groups.push(`
+        case ${index*2}:${cases[index]}`);
+    }
+    else {
+      // Fall through to the next group
+      const end = Math.min(index+size, first+count);
+      groups.push(`
+        case ${index/size}:${dispatch(cases, index, end-index)}
+          pc = ${end*2};`);
+    }
+  }
+
+  return `
+        switch(${(size === 1) ? "pc" : `pc >> ${Math.log2(size)+1}`}) {
+        default:
+          throw new Error(\`Invalid program counter: \${pc}\`);${groups.join("")}
+        }`;
+}
+
+/**
+  Return a JavaScript expression testing if the character code `c`
+  belongs to a charset.
+
+  Small charsets are tested using comparisons. Larger charsets are
+  turned into a lookup table, except the range tables, which are
+  searched by the VM.
+
+  @param{Array|Ranges} set - The charset.
+  @param{Array} operands - The values referenced by the compiled code.
+
+  @private
+*/
+function member(set, operands) {
+  const ranges = toRanges(set);
+
+  if (ranges.length === 0) {
+    return "false";
+  }
+  else if (ranges.length <= 4) {
+    return ranges.map(([ first, last ]) => (first === last) ? `(c === ${first})` : `(c >= ${first} && c <= ${last})`).join(" || ");
+  }
+  else if (set instanceof Ranges) {
+    operands.push(set);
+    return `operands[${operands.length-1}].has(c)`;
+  }
+
+  const table = new Uint8Array(ranges[ranges.length-1][1]+1);
+  for(let [ first, last ] of ranges) {
+    table.fill(1, first, last+1);
+  }
+  operands.push(table);
+
+  return `(operands[${operands.length-1}][c] === 1)`;
+}
+
+/**
+  Return the JavaScript statements executing an instruction.
+
+  The statements fall through to the next instruction, jump to another
+  instruction using `continue`, or leave the function using `return`
+  when the VM has to take over.
+
+  @param{string} opcode - The instruction.
+  @param{string} operand - The expression evaluating to the operand.
+  @param{number} pc - The position of the instruction in the code.
+  @param{} value - The operand value.
+  @param{Array} operands - The values referenced by the compiled code.
+  @param{boolean} unicode - Are the tokens code points?
+  @param{string} input - The kind of input: "text", "binary" or "tokens".
+
+  @private
+*/
+function instruction(opcode, operand, pc, value, operands, unicode, input) {
+  const next = pc+2;
+  // The code of the current token. Reading past the end of the tokens
+  // would deoptimize the function, so the index is checked first.
+  const token = `((tx-base < tokens.length) ? ${(input !== "text") ? "tokens[tx-base]" : unicode ? "tokens[tx-base].codePointAt(0)" : "tokens.charCodeAt(tx-base)"} : undefined)`;
+  // Delegate to the VM
+  const delegate = `${SAVE} vm.pc = ${next}; vm.${opcode}(${operand});`;
+  // Leave if the VM has jumped out of the rule or stopped
+  const check = `if (vm.code !== code || !vm.running || vm.suspended) return; ${LOAD} continue;`;
+  // Fail. The failure is handled after the dispatch.
+  const fail = `
+        pc = ${next};
+        break failure;`;
+  // Fail if the token doesn't match. Let the VM suspend if it is missing.
+  const mismatch = (...expected) => `
+      else if (vm.eof || tx-base < tokens.length) {
+        if (tx >= vm.farthest && !vm.silent) {
+          vm.tx = tx; vm.expect(${expected.join(", ")});
+        }${fail}
+      }
+      else {
+        ${delegate}
+        ${check}
+      }`;
+
+  // Test if the current token is a character
+  const is = (char, expression) => ((char.length === 1) && !unicode) ? `${token} === ${char.charCodeAt(0)}` : `tx-base < tokens.length && tokens[tx-base] === ${expression}`;
+  // Stop if the stack is too deep, as overflow() does
+  const overflow = `
+      if (sx > vm.maxStack) {
+        ${SAVE} vm.pc = ${next}; vm.abort("maxStack");
+        return;
+      }`;
+  // Push a backtrack entry resuming at the given position, as choice() does
+  const choice = (target) => `
+      vm.bp = { bp: vm.bp, pc: ${target}, code: code, tx: tx, sx: sx, fx: vm.fx, ex: vm.errors.length, state: vm.state };`;
+
+  switch(opcode) {
+  case "char":
+    return `
+      if (${is(value, operand)}) {
+        stack[sx++] = ${operand};
+        ++tx;
+      }${mismatch("\"literal\"", operand)}`;
+  case "charset":
+    return `
+      c = ${token};
+      if (${member(value, operands)}) {
+        stack[sx++] = tokens[tx-base];
+        ++tx;
+      }${mismatch("\"charset\"", operand)}`;
+  case "ichar":
+    return `
+      c = ${token};
+      if (${member(fromRanges(value.map((variant) => [ variant.codePointAt(0), variant.codePointAt(0) ])), operands)}) {
+        stack[sx++] = tokens[tx-base];
+        ++tx;
+      }${mismatch("\"literal\"", `${operand}[0]`)}`;
+  case "byte":
+    return `
+      c = ${token};
+      if (${member(value, operands)}) {
+        stack[sx++] = c;
+        ++tx;
+      }${mismatch("\"byte\"", operand)}`;
+  case "any":
+    return `
+      c = ${token};
+      if (${(input !== "text") ? "c !== undefined" : "c > 0"}) {
+        stack[sx++] = tokens[tx-base];
+        ++tx;
+      }${mismatch("\"any\"")}`;
+  case "string":
+    // c is the length of the match
+    return `
+      for(c = 0; c < ${value.length} && tx-base+c < tokens.length && tokens[tx-base+c] === ${operand}[c]; ++c);
+      if (c === ${value.length}) {
+        stack[sx++] = ${operand};
+        tx += c;
+      }
+      else if (vm.eof || tx-base+c < tokens.length) {
+        tx += c;
+        if (tx >= vm.farthest && !vm.silent) {
+          vm.tx = tx; vm.expect("literal", ${operand}[c]);
+        }${fail}
+      }
+      else {
+        ${delegate}
+        ${check}
+      }`;
+  case "span":
+    return `
+      c = ${token};
+      while(${member(value, operands)}) {
+        stack[sx++] = tokens[tx-base];
+        ++tx;
+        c = ${token};
+      }
+      if (vm.eof || tx-base < tokens.length) {
+        if (tx >= vm.farthest && !vm.silent) {
+          vm.tx = tx; vm.expect("charset", ${operand});
+        }
+      }
+      else {
+        ${delegate}
+        ${check}
+      }`;
+  case "testchar":
+  case "testset":
+    // Jump if the token doesn't match
+    return `
+      c = ${token};
+      if (${(opcode === "testchar") ? is(value.char, `${operand}.char`) : member(value.set, operands)}) {${choice(next+value.offset)}
+        stack[sx++] = tokens[tx-base];
+        ++tx;
+      }
+      else if (vm.eof || tx-base < tokens.length) {
+        if (tx >= vm.farthest && !vm.silent) {
+          vm.tx = tx; vm.expect(${(opcode === "testchar") ? `"literal", ${operand}.char` : `"charset", ${operand}.set`});
+        }
+        pc = ${next+value.offset};
+        continue;
+      }
+      else {
+        ${delegate}
+        ${check}
+      }`;
+  case "pushd":
+    return `
+      stack[sx++] = ${operand};${overflow}`;
+  case "commit":
+    return `
+      vm.bp = vm.bp.bp;
+      pc = ${next+value};
+      continue;`;
+  case "backcommit":
+    return `
+      if (tx >= vm.reach) vm.reach = tx+1;
+      b = vm.bp;
+      vm.bp = b.bp;
+      tx = b.tx;
+      sx = b.sx;
+      vm.fx = b.fx;
+      vm.state = b.state;
+      if (vm.errors.length > b.ex) vm.errors.length = b.ex;
+      pc = ${next+value};
+      continue;`;
+  case "choice":
+    return choice(next+value);
+  case "fail":
+    return fail;
+  case "frame":
+    return `
+      stack[sx++] = tx;
+      stack[sx++] = vm.fx;
+      vm.fx = sx;${overflow}`;
+  case "drop":
+    return `
+      sx = vm.fx;
+      vm.fx = stack[--sx];
+      --sx;`;
+  case "reduce":
+    return `
+      data = stack.slice(vm.fx, sx);
+      sx = vm.fx;
+      vm.fx = stack[--sx];
+      start = stack[--sx];
+      vm.tx = tx;
+      stack[sx++] = vm.apply(${operand}, data, start);`;
+  case "label":
+  case "operator":
+  case "climb":
+  case "protect":
+  case "unprotect":
+  case "recover":
+  case "pushstate":
+  case "popstate":
+  case "call":
+    // Instructions that can't jump
+    return `
+      ${delegate}
+      tx = vm.tx; sx = vm.sx;`;
+  case "jsr":
+    // Call the compiled function of the rule, if the call needs no guard entry
+    return `
+      callee = (depth < ${MAX_DEPTH}) ? vm.direct(${operand}) : undefined;
+      if (callee !== undefined) {
+        stack[sx++] = ${next};
+        stack[sx++] = code;
+        stack[sx++] = tx;
+        stack[sx++] = vm.fx;
+        vm.fx = sx;${overflow}
+        ${SAVE} vm.pc = 0; vm.code = callee;
+        vm.grammar.native(callee)(vm, depth+1);
+        cc = vm.cc;
+        ${check}
+      }
+      ${delegate}
+      return;`;
+  case "ret":
+    // Return from a rule without a guard entry
+    return `
+      b = vm.bp;
+      if (b === null || !b.call || b.fx !== vm.fx) {
+        data = stack.slice(vm.fx, sx);
+        start = stack[vm.fx-2];
+        vm.tx = tx;
+        data = vm.ast ? vm.node(data, start) : vm.apply(${operand}, data, start);
+        sx = vm.fx;
+        vm.fx = stack[--sx];
+        --sx;
+        vm.code = stack[--sx];
+        vm.pc = stack[--sx];
+        stack[sx++] = data;
+        vm.sx = sx; vm.cc = cc;
+        return;
+      }
+      ${delegate}
+      return;`;
+  case "unwind":
+  case "end":
+    return `
+      ${delegate}
+      return;`;
+  default:
+    return `
+      ${delegate}
+      ${check}`;
+  }
+}
+
+/**
+  Compile the code of a rule to a JavaScript function.
+
+  The function takes the parser and the nesting depth of the direct
+  calls as arguments, and runs the instructions starting at the current
+  program counter.
+
+  The input, the stack, and the registers are cached in local variables.
+  The registers are saved before delegating to the VM, and reloaded after.
+
+  @param{Array} code - The VM code of the rule.
+  @param{object} [options] - The grammar options.
+  @param{boolean} [options.unicode] - Are the tokens code points?
+  @param{string} [options.input="text"] - The kind of input.
+  @return{function} The compiled function.
+*/
+function compile(code, options = {}) {
+  const operands = [];
+  const cases = [];
+  for(let pc = 0; pc < code.length; pc += 2) {
+    const opcode = code[pc];
+    const value = code[pc+1];
+
+    let operand = "undefined";
+    if (typeof value === "string" || typeof value === "number") {
+      operand = JSON.stringify(value);
+    }
+    else if (value !== undefined) {
+      operand = `operands[${operands.length}]`;
+      operands.push(value);
+    }
+
+    // Let the VM check the limits before the instruction, as the interpreter does
+    cases.push(`
+          if (cc >= limit) {
+            ${SAVE} vm.pc = ${pc};
+            return;
+          }
+          ++cc;${instruction(opcode, operand, pc, value, operands, !!options.unicode, options.input ?? "text")}`);
+  }
+
+  const body = `
+    return function(vm, depth = 0) {
+      const tokens = vm.tokens;
+      const base = vm.base;
+      const stack = vm.stack;
+      const limit = vm.checkpoint;
+      let pc = vm.pc;
+      let tx = vm.tx;
+      let sx = vm.sx;
+      let cc = vm.cc;
+      let c, b, data, start, callee;
+
+      for(;;) {
+        failure: {${dispatch(cases, 0, cases.length)}
+        }
+
+        // Backtrack in place if the backtrack entry belongs to the rule
+        if (tx >= vm.reach) vm.reach = tx+1;
+        b = vm.bp;
+        if (b !== null && b.code === code) {
+          vm.bp = b.bp;
+          pc = b.pc;
+          tx = b.tx;
+          sx = b.sx;
+          vm.fx = b.fx;
+          vm.state = b.state;
+          if (vm.errors.length > b.ex) vm.errors.length = b.ex;
+          continue;
+        }
+        ${SAVE} vm.pc = pc; vm.fail();
+        return;
+      }
+    };`;
+
+  return new Function("code", "operands", body)(code, operands);
+}
+
+module.exports = {
+  compile,
+};
@@ -0,0 +1,314 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Standalone parser generation.
+
+  The generated module embeds the VM (lib/parser.js, lib/ranges.js and lib/ast.js)
+  and the code of the rules. It has no runtime dependency on Pegparse.
+
+  @module generator
+*/
+
+const fs = require("fs");
+const func = require("./func");
+const { Ranges, toRanges } = require("./ranges");
+
+/**
+  The modules of the VM, embedded in the generated modules.
+
+  @private
+*/
+const VM = [ "./ranges", "./ast", "./parser" ];
+
+/**
+  Serialize the operands of the VM code.
+
+  The functions are either the built-in functions from lib/func.js,
+  embedded in the generated module, or user actions, imported from
+  the actions module.
+
+  @private
+*/
+class Serializer {
+  constructor(actions) {
+    this.actions = new Map();
+    for(let name of Object.keys(actions)) {
+      if (typeof actions[name] === "function") {
+        this.actions.set(actions[name], name);
+      }
+    }
+
+    this.builtins = new Map();
+    for(let name of Object.keys(func)) {
+      this.builtins.set(func[name], name);
+    }
+
+    this.used = new Set(); // the built-in functions used by the code
+    this.imports = false; // is the actions module used?
+  }
+
+  /**
+    Return the JavaScript expression evaluating to a function.
+  */
+  fct(value) {
+    if (this.builtins.has(value)) {
+      this.used.add(this.builtins.get(value));
+      return this.builtins.get(value);
+    }
+    else if (this.actions.has(value)) {
+      this.imports = true;
+      return `actions[${JSON.stringify(this.actions.get(value))}]`;
+    }
+
+    throw new TypeError(`Action not found in the actions module: ${value.name || value}`);
+  }
+
+  /**
+    Return the JavaScript expression evaluating to a value.
+  */
+  value(value) {
+    if (value === undefined) {
+      return "undefined";
+    }
+    else if (typeof value === "function") {
+      return this.fct(value);
+    }
+    else if (Array.isArray(value)) {
+      return `[ ${value.map((item) => this.value(item)).join(", ")} ]`;
+    }
+    else if ((value !== null) && (typeof value === "object")) {
+      const entries = Object.keys(value).map((key) => `${JSON.stringify(key)}: ${this.value(value[key])}`);
+      return `{ ${entries.join(", ")} }`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+    Return the JavaScript expression evaluating to a charset.
+  */
+  set(set) {
+    const name = (set instanceof Ranges) && (set.name !== undefined) ? `, ${JSON.stringify(set.name)}` : "";
+
+    return `fromRanges(${JSON.stringify(toRanges(set))}${name})`;
+  }
+
+  /**
+    Return the JavaScript expression evaluating to the code of a rule.
+  */
+  code(code) {
+    const lines = [];
+    for(let pc = 0; pc < code.length; pc += 2) {
+      const opcode = code[pc];
+      const operand = code[pc+1];
+
+      let expr;
+      if ((opcode === "charset") || (opcode === "span") || (opcode === "byte")) {
+        expr = this.set(operand);
+      }
+      else if (opcode === "testset") {
+        expr = `{ "set": ${this.set(operand.set)}, "offset": ${operand.offset} }`;
+      }
+      else {
+        expr = this.value(operand);
+      }
+
+      lines.push(`    ${JSON.stringify(opcode)}, ${expr},`);
+    }
+
+    return `[\n${lines.join("\n")}\n  ]`;
+  }
+}
+
+/**
+  Generate the source of a standalone parser module.
+
+  The module exports a `parse(input, context, options)` function returning
+  the result of the start rule, or throwing a SyntaxError if the input doesn't
+  match. The options are the limits and the AST mode of the parser (see {@link Parser}). If
+  a limit is exceeded, `parse()` throws a RangeError instead. The properties
+  of the errors are those returned by {@link Parser#error()}.
+
+  Since functions can't be serialized, the actions of the rules must be
+  exported by a module. The generated module imports them from that module.
+  The built-in functions (like `JOIN`) are embedded in the generated module.
+
+  @example
+  const actions = require("./actions");
+  const grammar = new peg.Grammar();
+  grammar.define("number", peg.oneOrMore(peg.charset("0-9")), actions.number);
+
+  fs.writeFileSync("number.js", peg.generate(grammar, "number", {
+    actions: actions,
+    actionsModule: "./actions",
+  }));
+
+  @param{Grammar} grammar - The grammar.
+  @param{string} start - The name of the rule to match.
+  @param{object} [options] - The generation options.
+  @param{string} [options.format="commonjs"] - The module format, either
+    "commonjs" or "esm".
+  @param{object} [options.actions] - The exports of the actions module.
+  @param{string} [options.actionsModule] - The specifier used to import
+    the actions module from the generated module.
+  @return{string} The source of the module.
+*/
+function generate(grammar, start, options = {}) {
+  const format = options.format ?? "commonjs";
+  if ((format !== "commonjs") && (format !== "esm")) {
+    throw new TypeError(`Unknown module format: ${format}`);
+  }
+
+  grammar.get(start); // check the start rule exists
+
+  const serializer = new Serializer(options.actions ?? {});
+  const rules = [];
+  const memoized = [];
+  const tokens = [];
+  const modes = [];
+  for(let [ name, code ] of grammar.rules) {
+    rules.push(`  [ ${JSON.stringify(name)}, ${serializer.code(code)} ],`);
+    if (grammar.isMemoized(name)) {
+      memoized.push(name);
+    }
+    if (grammar.tokenName(name) !== undefined) {
+      tokens.push([ name, grammar.tokenName(name) ]);
+    }
+    if (grammar.astMode(name) !== "node") {
+      modes.push([ name, grammar.astMode(name) ]);
+    }
+  }
+
+  if (serializer.imports && !options.actionsModule) {
+    throw new TypeError("The actionsModule option is required by the actions of the grammar");
+  }
+
+  const parts = [];
+  parts.push("// Generated by Pegparse. Do not edit.");
+  if (format === "esm") {
+    if (serializer.imports) {
+      // A CommonJS module may only have a default export
+      parts.push(`import * as actionsModule from ${JSON.stringify(options.actionsModule)};
+const actions = { ...actionsModule.default, ...actionsModule };`);
+    }
+  }
+  else {
+    parts.push("\"use strict\";");
+    if (serializer.imports) {
+      parts.push(`const actions = require(${JSON.stringify(options.actionsModule)});`);
+    }
+  }
+
+  // ES modules can't load the other modules synchronously
+  const fallback = (format === "esm")
+    ? "throw new Error(`Module not embedded in the parser: ${name}`);"
+    : "return require(name);";
+  parts.push(`
+// ========================================================================
+//  The VM
+// ========================================================================
+const modules = {};
+function embedded(name) {
+  if (name in modules) {
+    return modules[name];
+  }
+  ${fallback}
+}`);
+  for(let name of VM) {
+    parts.push(`modules[${JSON.stringify(name)}] = (function(require) {
+  const module = { exports: {} };
+${fs.readFileSync(require.resolve(name), "utf8")}
+  return module.exports;
+})(embedded);`);
+  }
+  parts.push(`const { Parser } = modules["./parser"];
+const { fromRanges } = modules["./ranges"];`);
+
+  parts.push(`
+// ========================================================================
+//  The grammar
+// ========================================================================`);
+  for(let name of serializer.used) {
+    parts.push(`const ${name} = ${func[name].toString()};`);
+  }
+
+  parts.push(`
+const grammar = {
+  options: { memoLimit: ${grammar.options.memoLimit ?? "Infinity"}, unicode: ${!!grammar.options.unicode}, input: ${JSON.stringify(grammar.options.input ?? "text")} },
+  rules: new Map([
+${rules.join("\n")}
+  ]),
+  memoized: new Set(${JSON.stringify(memoized)}),
+  tokenNames: new Map(${JSON.stringify(tokens)}),
+  astModes: new Map(${JSON.stringify(modes)}),
+
+  get(nonterminal) {
+    const rule = this.rules.get(nonterminal);
+    if (!rule) {
+      throw new TypeError(\`Rule not found: \${nonterminal}\`);
+    }
+
+    return rule;
+  },
+  isMemoized(nonterminal) {
+    return this.memoized.has(nonterminal);
+  },
+  tokenName(nonterminal) {
+    return this.tokenNames.get(nonterminal);
+  },
+  astMode(nonterminal) {
+    return this.astModes.get(nonterminal) ?? "node";
+  },
+  lookbehind() {
+    return ${grammar.lookbehind()};
+  },
+  native() {
+    return undefined;
+  },
+};
+
+// ========================================================================
+//  API
+// ========================================================================
+function parse(input, context, options) {
+  const parser = new Parser(grammar, ${JSON.stringify(start)}, context, options);
+  parser.accept(input);
+  parser.run();
+
+  if (parser.status !== "success") {
+    const error = parser.error();
+    const type = (parser.status === "aborted") ? RangeError : SyntaxError;
+    throw Object.assign(new type(error.message), error);
+  }
+
+  return parser.result();
+}`);
+
+  if (format === "esm") {
+    parts.push("\nexport { parse };");
+  }
+  else {
+    parts.push("\nmodule.exports = { parse };");
+  }
+
+  return parts.join("\n") + "\n";
+}
+
+module.exports = {
+  generate,
+};
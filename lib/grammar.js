@@ -20,6 +20,12 @@
 */
 
 const { Parser } = require("./parser");
+const { ParserStream, matchStream } = require("./stream");
+const analysis = require("./analysis");
+const compiler = require("./compiler");
+const optimizer = require("./optimizer");
+const generator = require("./generator");
+const ranges = require("./ranges");
 const func = require("./func");
 
 // ========================================================================
@@ -52,36 +58,39 @@ class Charset extends Code {
     Return the charset as a string.
   */
   get set() {
-    const entries = [];
-    this._set.forEach((value, index) => entries.push(index));
+    let result = "";
+    for(let [ first, last ] of ranges.toRanges(this._set)) {
+      for(let code = first; code <= last; ++code) {
+        result += String.fromCodePoint(code);
+      }
+    }
 
-    return String.fromCharCode(...entries);
+    return result;
   }
 
   /**
     Return the union of this charset and the charset defined by `specs`.
   */
   union(...specs) {
-    const set = this._set.slice();
-
-    for(let i of _charset(...specs)) {
-      set[i] = 1;
-    }
-
-    return new Charset(set);
+    return new Charset(ranges.union(this._set, charset(...specs)._set));
   }
 
   /**
     Return the difference between this charset and the charset defined by `specs`.
   */
   difference(...specs) {
-    const set = this._set.slice();
+    return new Charset(ranges.difference(this._set, charset(...specs)._set));
+  }
 
-    for(let i of _charset(...specs)) {
-      delete set[i];
-    }
+  /**
+    Return the charset containing the characters of this charset
+    and all their case variants.
 
-    return new Charset(set);
+    The case variants are those of the Unicode simple case folding,
+    as used by the regular expressions with the `iu` flags.
+  */
+  ignoreCase() {
+    return new Charset(ranges.ignoreCase(this._set));
   }
 }
 
@@ -116,11 +125,109 @@ function asCode(object) {
   }
 }
 
+/**
+  The instructions removing the current stack frame.
+
+  @private
+*/
+const FRAME_CLOSERS = new Set([ "reduce", "drop", "label", "operator", "climb", "check", "call" ]);
+
+/**
+  Select the instructions starting a token in the code of a syntactic rule.
+
+  A token is a consuming instruction, or a call to a rule other than the
+  skip rule. A string capture (a `frame ... reduce JOIN` sequence, like a
+  multi-character literal or a `join()`) is a single token starting at
+  its frame instruction.
+
+  @param{Array} list - The decoded instructions.
+  @param{string} skip - The name of the skip rule.
+  @return{Set} The selected instructions.
+
+  @private
+*/
+function tokenStarts(list, skip) {
+  const isToken = ({ op, arg }) => analysis.consumes(op) || ((op === "jsr") && (arg !== skip));
+  const result = new Set();
+
+  for(let i = 0; i < list.length; ++i) {
+    if (list[i].op === "frame") {
+      // find the instruction removing the frame
+      let end = i+1;
+      for(let depth = 1; end < list.length; ++end) {
+        if (list[end].op === "frame") {
+          ++depth;
+        }
+        else if (FRAME_CLOSERS.has(list[end].op) && (--depth === 0)) {
+          break;
+        }
+      }
+
+      if ((end < list.length) && (list[end].op === "reduce") && (list[end].arg === func.JOIN)) {
+        if (list.slice(i, end).some(isToken)) {
+          result.add(list[i]);
+        }
+        i = end;
+      }
+    }
+    else if (isToken(list[i])) {
+      result.add(list[i]);
+    }
+  }
+
+  return result;
+}
+
+/**
+  Insert a program before each instruction selected by a function.
+
+  The jumps to a selected instruction land on the inserted program,
+  so the program also runs when a loop or a choice jumps back there.
+
+  @param{Array} code - The VM code.
+  @param{Array} program - The VM code to insert.
+  @param{function} select - Called with the decoded instructions of the
+    code. Return the set of the selected instructions.
+
+  @private
+*/
+function interleave(code, program, select) {
+  const decoded = optimizer.decode(code);
+  const selected = select(decoded);
+  const list = [];
+  for(let instr of decoded) {
+    if (!selected.has(instr)) {
+      list.push(instr);
+      continue;
+    }
+
+    // Keep the selected instruction object at the head of the inserted
+    // program, so the jumps to it remain valid.
+    const moved = { ...instr };
+    const [ head, ...tail ] = optimizer.decode(program);
+    for(let item of [ head, ...tail ]) {
+      if (item.target === head) {
+        item.target = instr;
+      }
+      else if (item.target === optimizer.END) {
+        item.target = moved;
+      }
+    }
+
+    for(let key of Object.keys(instr)) {
+      delete instr[key];
+    }
+    list.push(Object.assign(instr, head), ...tail, moved);
+  }
+
+  return optimizer.encode(list);
+}
+
 // ========================================================================
 //  Charsets
 // ========================================================================
 /**
-  Generator over charset specs.
+  Generator over the code point ranges of charset specs.
 
   See `charset()` for details.
 
@@ -128,16 +235,20 @@ function asCode(object) {
 */
 function *_charset(...specs) {
   for(let spec of specs) {
-    if ((spec.length === 3) && (spec.charAt(1) === "-")) {
+    if (spec instanceof Charset) {
+      yield* ranges.toRanges(spec._set);
+      continue;
+    }
+
+    const chars = [ ...spec ];
+    if ((chars.length === 3) && (chars[1] === "-")) {
       // this is a range
-      for(let i = spec.charCodeAt(0); i <= spec.charCodeAt(2); ++i) {
-        yield i;
-      }
+      yield [ chars[0].codePointAt(0), chars[2].codePointAt(0) ];
     }
     else {
       // assume a string-iterable
-      for(let i of spec) {
-        yield i.charCodeAt(0);
+      for(let c of chars) {
+        yield [ c.codePointAt(0), c.codePointAt(0) ];
       }
     }
   }
@@ -150,14 +261,40 @@ function *_charset(...specs) {
   - as a range ("0-9");
   - as string containing the individual charaters of the set ("0123456789");
   - as any iterable over a string (including another Charset object).
+
+  The characters are Unicode code points. Outside of the Unicode mode
+  (see {@link Grammar}), the parser only matches the characters of the
+  Basic Multilingual Plane.
 */
 function charset(...specs) {
-  const set = []; // Use holey array which seems to be an order of magnitude fatest than sets.
-  for(let i of _charset(...specs)) {
-    set[i] = 1;
-  }
+  return new Charset(ranges.fromRanges([ ..._charset(...specs) ]));
+}
+
+/**
+  Match one character if present in the given charset, ignoring case.
+
+  Same as `charset(...specs).ignoreCase()`.
+*/
+function icharset(...specs) {
+  return charset(...specs).ignoreCase();
+}
+
+/**
+  Match one character having a Unicode property, like `\p{name}`
+  in regular expressions.
+
+  The charset may be combined with other charsets using its
+  `union()` and `difference()` methods.
 
-  return new Charset(set);
+  @example
+  peg.property("L") // any letter
+  peg.property("Nd") // any decimal digit
+  peg.property("Script=Greek") // any greek character
+
+  @param{string} name - The Unicode property.
+*/
+function property(name) {
+  return new Charset(ranges.property(name));
 }
 
 // ========================================================================
@@ -166,9 +303,25 @@ function charset(...specs) {
 /**
   Match a string of characters.
 
-  Capture the entire string
+  Capture the entire string. When ignoring case, capture the string
+  as found in the input. The string is compared using the Unicode full
+  case folding, so "straße" also matches "STRASSE".
+
+  @param{string} str - The string.
+  @param{object} [options] - The matching options.
+  @param{boolean} [options.ignoreCase] - Match the case variants of the
+    characters too (see {@link Charset#ignoreCase()}).
 */
-function litteral(str) {
+function litteral(str, options = {}) {
+  if (options.ignoreCase) {
+    const variants = ranges.foldedVariants(str);
+    if ((variants.length === 1) && variants[0].every((variant) => typeof variant === "string")) {
+      return ichar(str);
+    }
+
+    return new Asm(variants.length ? [ "istring", variants ] : []);
+  }
+
   const result = [];
   if (str.length > 1) {
     result.push("frame", undefined);
@@ -185,6 +338,19 @@ function litteral(str) {
   return new Asm(result);
 }
 
+/**
+  Match one character, ignoring case.
+
+  Capture the character as found in the input.
+
+  @param{string} c - The character.
+*/
+function ichar(c) {
+  return new Asm([
+    "ichar", ranges.caseVariants(c),
+  ]);
+}
+
 /**
   Negative lookarround.
 
@@ -235,6 +401,125 @@ function and(...programs) {
   return not(not(...programs));
 }
 
+/**
+  A semantic predicate.
+
+  Succeed if the function returns a truthy value. The function is called
+  without arguments, with the parser's context bound to `this`.
+  Do not consume any character.
+
+  Capture nothing.
+
+  @example
+  // Only accept the extensions enabled at runtime
+  grammar.define("extension", [
+    peg.predicate(function() { return this.extensions; }),
+    peg.rule("block"),
+  ]);
+
+  @param{function} fct - The predicate.
+  @param{string} [description] - The description of what the predicate
+    accepts, used in the error messages. Default to the name of the predicate.
+*/
+function predicate(fct, description) {
+  return new Asm([
+    "predicate", { predicate: fct, description: description ?? fct.name },
+  ]);
+}
+
+/**
+  A guarded match.
+
+  Match the given program, then call the function with the data captured
+  by the program as arguments, and the parser's context bound to `this`.
+  Fail if the function returns a falsy value.
+
+  Capture the data captured by the program.
+
+  @example
+  grammar.define("identifier",
+    peg.guard(peg.join(peg.oneOrMore(peg.charset("a-z"))), function(name) {
+      return !this.keywords.has(name);
+    })
+  );
+
+  @param{} program - The program to match.
+  @param{function} fct - The predicate.
+  @param{string} [description] - The description of what the predicate
+    accepts, used in the error messages. Default to the name of the predicate.
+*/
+function guard(program, fct, description) {
+  program = asCode(program).instructions;
+
+  return new Asm([
+    "frame", undefined,
+    ...program,
+    "check", { predicate: fct, description: description ?? fct.name },
+  ]);
+}
+
+/**
+  Check the name and the value of a parse state flag.
+
+  @private
+*/
+function flag(name, value) {
+  if (typeof name !== "string") {
+    throw new TypeError(`Invalid parse state flag name: ${name}`);
+  }
+  if (((value !== null) && (typeof value === "object")) || (typeof value === "function")) {
+    throw new TypeError(`The value of the parse state flag ${name} must be a primitive value`);
+  }
+
+  return { name, value };
+}
+
+/**
+  Match a program with a parse state flag set to the given value.
+
+  The flag keeps its value in the rules called by the program, unless
+  they set it again, and recovers its previous value after the program.
+  On backtracking, the parse state is restored along with the input
+  position, so the flags never leak out of a failed alternative.
+
+  The values are compared using strict equality. They must be primitive
+  values: booleans, numbers, strings, null or undefined.
+
+  Capture the data captured by the program.
+
+  @example
+  grammar.define("while", [ "while", peg.rule("condition"), peg.withState("loop", true, peg.rule("block")) ]);
+  grammar.define("break", [ peg.checkState("loop", true), "break" ]);
+
+  @param{string} name - The name of the flag.
+  @param{} value - The value of the flag.
+*/
+function withState(name, value, ...programs) {
+  const program = asCode(programs).instructions;
+
+  return new Asm([
+    "pushstate", flag(name, value),
+    ...program,
+    "popstate", undefined,
+  ]);
+}
+
+/**
+  Succeed if a parse state flag has the given value (see {@link withState()}).
+  The flags that were never set are undefined.
+  Do not consume any character.
+
+  Capture nothing.
+
+  @param{string} name - The name of the flag.
+  @param{} [value=true] - The expected value of the flag.
+*/
+function checkState(name, value = true) {
+  return new Asm([
+    "checkstate", flag(name, value),
+  ]);
+}
+
 /**
   Match any character. Fail only if there is no more token to process.
 
@@ -246,6 +531,22 @@ function any() {
   ]);
 }
 
+/**
+  Match a grapheme cluster, that is, a character as perceived by the
+  user, like an emoji made of several code points, or a letter
+  followed by combining marks.
+
+  The parsers need `Intl.Segmenter` (Node.js 16 or later) to match
+  grapheme clusters.
+
+  Capture the grapheme cluster as a string.
+*/
+function grapheme() {
+  return new Asm([
+    "grapheme", undefined,
+  ]);
+}
+
 /**
   Match a rule of the grammar.
 
@@ -395,6 +696,45 @@ function capture(...programs) {
   ]);
 }
 
+/**
+  Capture the data from a sub-program into an array, and attach
+  the span of the match to the array as its `loc` property.
+
+  The span is an object whose `start` and `end` properties are positions
+  (`{ offset, line, column }`) in the input.
+*/
+function located(...programs) {
+  const program = asCode(programs).instructions;
+
+  return new Asm([
+    "frame", undefined,
+    ...program,
+    "reduce", { loc: true },
+  ]);
+}
+
+/**
+  Label the data captured by a sub-program.
+
+  The rules defined with the `named` option receive the labelled data
+  as an object. For the other rules, the labelled data are
+  replaced by their value.
+
+  Capture the only item captured by the sub-program, undefined if
+  there is none, or an array containing all the captured items.
+
+  @param{string} name - The label.
+*/
+function label(name, ...programs) {
+  const program = asCode(programs).instructions;
+
+  return new Asm([
+    "frame", undefined,
+    ...program,
+    "label", name,
+  ]);
+}
+
 /**
   Capture the data from a sub-program into a string
 
@@ -407,7 +747,7 @@ function join(...programs) {
   return new Asm([
     "frame", undefined,
     ...program,
-    "reduce", (...content) => content.join(""),
+    "reduce", func.JOIN,
   ]);
 }
 
@@ -428,6 +768,42 @@ function string(...programs) {
   return join(oneOrMore(programs));
 }
 
+/**
+  Error recovery.
+
+  Try to match a program. On failure, record the error in the parser's
+  `errors` list, skip the input up to and including the first match of
+  the synchronization program, then capture the fallback value.
+  If the synchronization program never matches, skip the input up to
+  the end.
+
+  Use a lookahead (`and()`) as the synchronization program to stop
+  _before_ the synchronization point. Beware of loops: the recovery should
+  always consume some input.
+
+  @param{} program - The program to match.
+  @param{} sync - The synchronization program. Its captures are discarded.
+  @param{} [fallback] - The value to capture after the recovery.
+*/
+function recover(program, sync, fallback) {
+  program = asCode(program).instructions;
+
+  const recovery = [
+    "recover", undefined,
+    ...consume(zeroOrMore(not(sync), any()), zeroOrOne(sync)).instructions,
+    "pushd", fallback,
+  ];
+
+  return new Asm([
+    "protect", undefined,
+    "choice", program.length+4,
+    ...program,
+    "unprotect", undefined,
+    "commit", recovery.length,
+    ...recovery,
+  ]);
+}
+
 /**
   Match any pattern except if ay of the `rest` PEG match.
 
@@ -452,20 +828,288 @@ function anyExcept(...rest) {
   return except(any(), ...rest);
 }
 
+/**
+  Match one token for which a predicate returns true.
+
+  The predicate is called with the token as its only argument, and the
+  parser's context bound to `this`. This works for all kinds of input.
+
+  Capture the token.
+
+  @param{function} predicate - The predicate.
+  @param{string} [description] - The description of the expected token,
+    used in the error messages. Default to the name of the predicate.
+*/
+function satisfy(predicate, description) {
+  return new Asm([
+    "satisfy", { predicate, description: description ?? predicate.name },
+  ]);
+}
+
+/**
+  The kinds of operators accepted by {@link operators()}.
+
+  @private
+*/
+const OPERATOR_KINDS = [ "prefix", "infix", "postfix" ];
+
+/**
+  Match an expression made of operands combined by prefix, infix
+  and postfix operators, using precedence climbing.
+
+  Each operator is described by an object with the following properties:
+  - exactly one of `prefix`, `infix` or `postfix`: the program matching the operator;
+  - `precedence`: a number. The operators with a higher precedence bind tighter;
+  - `assoc`: the associativity of an infix operator, either "left" (the default)
+    or "right";
+  - `action`: an optional callable, called with the operands and the data
+    captured by the operator in input order, like the action of the rule
+    `[ operand, operator, operand ]` for an infix operator. The default action
+    packs them into an array.
+
+  The operand program should capture exactly one value, typically
+  by calling a rule.
+
+  Capture the result of the actions.
+
+  @example
+  peg.operators(peg.rule("number"), [
+    { infix: peg.charset("+-"), precedence: 1, action: (a, op, b) => (op === "+") ? a+b : a-b },
+    { infix: "*", precedence: 2, action: (a, op, b) => a*b },
+    { infix: "^", precedence: 3, assoc: "right", action: (a, op, b) => a**b },
+    { prefix: "-", precedence: 4, action: (op, a) => -a },
+    { postfix: "!", precedence: 5, action: factorial },
+  ])
+
+  @param{} operand - The program matching an operand.
+  @param{Array} table - The operators.
+*/
+function operators(operand, table) {
+  const programs = { prefix: [], infix: [], postfix: [] };
+  for(let entry of table) {
+    const kinds = OPERATOR_KINDS.filter((kind) => entry[kind] !== undefined);
+    if (kinds.length !== 1) {
+      throw new TypeError("An operator must have exactly one of the prefix, infix or postfix properties");
+    }
+    if (typeof entry.precedence !== "number") {
+      throw new TypeError(`Invalid operator precedence: ${entry.precedence}`);
+    }
+    const assoc = entry.assoc ?? "left";
+    if ((assoc !== "left") && (assoc !== "right")) {
+      throw new TypeError(`Invalid operator associativity: ${assoc}`);
+    }
+
+    const kind = kinds[0];
+    programs[kind].push(new Asm([
+      "frame", undefined,
+      ...asCode(entry[kind]).instructions,
+      "operator", { kind, precedence: entry.precedence, assoc, action: entry.action },
+    ]));
+  }
+
+  const some = (kind) => programs[kind].length ? zeroOrMore(choice(...programs[kind])) : [];
+  const term = [ some("prefix"), operand, some("postfix") ];
+
+  return new Asm([
+    "frame", undefined,
+    ...asCode([ term, programs.infix.length ? zeroOrMore(choice(...programs.infix), term) : [] ]).instructions,
+    "climb", undefined,
+  ]);
+}
+
+// ========================================================================
+//  Binary input
+// ========================================================================
+
+/**
+  Match one byte if its value is in the given set.
+
+  The set may be specified using:
+  - byte values (`0x0a`);
+  - ranges of byte values, as `[ first, last ]` arrays (`[ 0x30, 0x39 ]`);
+  - strings, whose character codes are taken as byte values (`"\r\n"`).
+
+  Capture the byte value.
+*/
+function byte(...specs) {
+  const pairs = [];
+  for(let spec of specs) {
+    if (typeof spec === "number") {
+      pairs.push([ spec, spec ]);
+    }
+    else if (typeof spec === "string") {
+      for(let i = 0; i < spec.length; ++i) {
+        pairs.push([ spec.charCodeAt(i), spec.charCodeAt(i) ]);
+      }
+    }
+    else {
+      pairs.push([ spec[0], spec[1] ]);
+    }
+  }
+
+  return new Asm([
+    "byte", ranges.fromRanges(pairs),
+  ]);
+}
+
+/**
+  Match a sequence of bytes.
+
+  Capture the bytes as a Uint8Array.
+
+  @param{Array|Uint8Array|string} data - The bytes. The character codes of
+    a string are taken as byte values.
+*/
+function bytes(data) {
+  const values = (typeof data === "string") ? Array.from(data, (c) => c.charCodeAt(0)) : Array.from(data);
+
+  return new Asm([
+    "bytes", values,
+  ]);
+}
+
+/**
+  Build the code matching an integer.
+
+  @private
+*/
+function integer(size, endianness, signed) {
+  if (![ 1, 2, 3, 4, 5, 6, 8 ].includes(size)) {
+    throw new TypeError(`Invalid integer size: ${size}`);
+  }
+  if ((endianness !== "be") && (endianness !== "le")) {
+    throw new TypeError(`Invalid endianness: ${endianness}`);
+  }
+
+  return new Asm([
+    "int", { size, little: (endianness === "le"), signed },
+  ]);
+}
+
+/**
+  Match an unsigned integer.
+
+  Capture the value of the integer, as a number, or as a BigInt
+  for 8-byte integers.
+
+  @param{number} size - The size of the integer in bytes (1 to 6, or 8).
+  @param{string} [endianness="be"] - The byte order, either "be" (big-endian)
+    or "le" (little-endian).
+*/
+function uint(size, endianness = "be") {
+  return integer(size, endianness, false);
+}
+
+/**
+  Match a signed (two's complement) integer.
+
+  See {@link uint()} for the parameters.
+*/
+function int(size, endianness = "be") {
+  return integer(size, endianness, true);
+}
+
+// ========================================================================
+//  Token input
+// ========================================================================
+
+/**
+  Match one token object whose `type` property is equal to `type`.
+
+  Capture the token.
+
+  @param{} type - The type of the token.
+*/
+function token(type) {
+  return new Asm([
+    "token", type,
+  ]);
+}
+
 // ========================================================================
 //  The grammar class
 // ========================================================================
 
+/**
+  The kinds of input the instructions can match. The other instructions
+  match all kinds of input.
+
+  @private
+*/
+const INPUTS = {
+  char: "text",
+  charset: "text",
+  string: "text",
+  span: "text",
+  testchar: "text",
+  testset: "text",
+  grapheme: "text",
+  ichar: "text",
+  istring: "text",
+  byte: "binary",
+  bytes: "binary",
+  int: "binary",
+  token: "tokens",
+};
+
+/**
+  The ways to represent a rule in an abstract syntax tree.
+
+  @private
+*/
+const AST_MODES = [ "node", "flatten", "inline", "omit" ];
+
 /**
   The Grammar class.
 
   @example
   // Create a new grammar
   const grammar = new peg.Grammar();
+
+  // Create a new grammar memoizing all its rules
+  const grammar = new peg.Grammar({ memo: true });
+
+  @param{object} [options] - The grammar options.
+  @param{boolean} [options.memo] - Memoize all rules by default (packrat parsing).
+    Left-recursive rules are always memoized unless explicitly disabled.
+  @param{number} [options.memoLimit] - The maximum number of memoized results
+    kept by a parser. Oldest entries are discarded first.
+  @param{boolean} [options.optimize] - Optimize the code of the rules. The
+    optimized rules produce the same results using fewer instructions, but
+    the error messages may describe the expected tokens differently.
+  @param{boolean} [options.compile] - Compile the rules to JavaScript functions
+    for faster parsing. The parsers still interpret the code in debug mode
+    (i.e. when the PEG_DEBUG environment variable is set).
+  @param{boolean} [options.unicode] - Split the input into Unicode code points
+    instead of UTF-16 code units. The offsets and columns reported by the
+    parsers count code points.
+  @param{string} [options.input="text"] - The kind of input of the parsers:
+    "text" (strings), "binary" (Buffers or Uint8Arrays), or "tokens" (arrays
+    of arbitrary values, like the output of a lexer).
+  @param{string} [options.skip] - The name of the skip rule. The syntactic
+    rules call the skip rule before each token and each sub-rule they match,
+    discarding its captures. The rules whose name starts with an uppercase
+    letter are syntactic (like in Ohm), the others are lexical. The failures
+    of the skip rule are never reported.
+
+  @example
+  // Skip the whitespace and the comments between the tokens of syntactic rules
+  const grammar = new peg.Grammar({ skip: "space" });
+  grammar.define("space", peg.zeroOrMore(peg.choice(peg.charset(" \t\n"), [ "#", peg.zeroOrMore(peg.anyExcept("\n")) ])));
+  grammar.define("Call", [ peg.rule("name"), "(", peg.rule("name"), ")" ]);
+  grammar.define("name", peg.join(peg.oneOrMore(peg.charset("a-z"))));
 */
 class Grammar {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
     this.rules = new Map();
+    this.sources = new Map(); // code of the rules before interleaving and optimization
+    this.memoized = new Map();
+    this.tokenNames = new Map();
+    this.astModes = new Map();
+    this.recursive = null; // cached set of left-recursive rules
+    this.behind = null; // cached lookbehind distance
+    this.natives = new WeakMap(); // compiled functions, keyed by rule code
   }
 
   get(nonterminal) {
@@ -477,6 +1121,96 @@ class Grammar {
     return rule;
   }
 
+  /**
+    Check if the results of a rule are memoized.
+
+    @param{string} nonterminal - The name of the rule.
+  */
+  isMemoized(nonterminal) {
+    return this.memoized.get(nonterminal) ?? (!!this.options.memo || this.isLeftRecursive(nonterminal));
+  }
+
+  /**
+    Return the name used to report the failures of a token rule,
+    or undefined if the rule is not a token rule.
+
+    @param{string} nonterminal - The name of the rule.
+  */
+  tokenName(nonterminal) {
+    return this.tokenNames.get(nonterminal);
+  }
+
+  /**
+    Return how the AST mode of the parsers represents a rule:
+    "node", "flatten", "inline" or "omit" (see {@link define()}).
+
+    @param{string} nonterminal - The name of the rule.
+  */
+  astMode(nonterminal) {
+    return this.astModes.get(nonterminal) ?? "node";
+  }
+
+  /**
+    Check if a rule is left-recursive, that is, if it may call itself
+    (directly or indirectly) before consuming any input.
+
+    @param{string} nonterminal - The name of the rule.
+  */
+  isLeftRecursive(nonterminal) {
+    if (!this.recursive) {
+      this.recursive = analysis.leftRecursive(this.rules);
+    }
+
+    return this.recursive.has(nonterminal);
+  }
+
+  /**
+    Return how many tokens before the current position the rules
+    may examine using a negative lookaround (see {@link nat()}).
+  */
+  lookbehind() {
+    if (this.behind === null) {
+      this.behind = analysis.lookbehind(this.rules);
+    }
+
+    return this.behind;
+  }
+
+  /**
+    Return the compiled function for the code of a rule, or undefined
+    if the code was not compiled.
+
+    @param{Array} code - The code of a rule.
+  */
+  native(code) {
+    return this.natives.get(code);
+  }
+
+  /**
+    Check the grammar for common mistakes.
+
+    Return the list of the problems found, as objects with the following
+    properties:
+
+    * `type`: one of "undefined-rule", "unreachable-rule", "left-recursion",
+      "empty-loop" or "shadowed-alternative";
+    * `severity`: "error" if the problem breaks the parser (e.g. a loop that
+      would never end), "warning" otherwise;
+    * `rule`: the name of the rule where the problem was found;
+    * `message`: a human-readable description of the problem.
+
+    @example
+    for(let diagnostic of grammar.validate("S")) {
+      console.log(`${diagnostic.severity}: ${diagnostic.message}`);
+    }
+
+    @param{string} start - The start rule.
+    @return{Array} The diagnostics. Empty if no problem was found.
+  */
+  validate(start) {
+    return analysis.validate(this.rules, start, (name) => this.isMemoized(name), this.sources);
+  }
+
   /**
     Define a new rule.
 
@@ -485,13 +1219,97 @@ class Grammar {
     @param{) action - An optionable callable to invoke if a match is found.
       The default action is to pack all program's capture in a possible empty
       array.
+    @param{object} [options] - The rule options.
+    @param{boolean} [options.memo] - Memoize the results of that rule, overriding
+      the grammar-level setting. A memoized rule is evaluated at most once
+      per input position.
+    @param{boolean|string} [options.token] - Report the failures of that rule
+      as a whole in the parser's error messages, using the rule name or the
+      given string. The failures of the sub-rules are not reported.
+    @param{boolean} [options.named] - Collect the data labelled using {@link label()}
+      into an object, and pass that object as the only argument of the action.
+      Unlabelled data are discarded. If there is no action, that object
+      is the result of the rule.
+    @param{boolean} [options.location] - Pass the span of the match as the
+      first argument of the action.
+    @param{boolean} [options.loc] - Attach the span of the match to the
+      result as its `loc` property, if the result is an object.
+    @param{boolean} [options.syntactic] - Call the skip rule between the tokens
+      of that rule, overriding the naming convention (see {@link Grammar}).
+    @param{string} [options.ast="node"] - How the parsers in AST mode represent
+      the matches of that rule: "node" (a node whose children are the nodes of the
+      sub-rules), "flatten" (a node without children, like a token), "inline"
+      (the nodes of the sub-rules, without a node for the rule itself), or "omit"
+      (nothing).
+
+    A span is an object whose `start` and `end` properties are positions
+    (`{ offset, line, column }`) in the input. Line and column numbers are one-based.
   */
-  define(name, program, action) {
+  define(name, program, action, options = {}) {
+    if ((options.ast !== undefined) && !AST_MODES.includes(options.ast)) {
+      throw new TypeError(`Invalid AST mode: ${options.ast}`);
+    }
+
     const opcodes = asCode(program).instructions;
-    this.rules.set(name, [
-      ...opcodes,
+    if (options.named || options.location || options.loc) {
+      action = {
+        action: action,
+        named: !!options.named,
+        location: !!options.location,
+        loc: !!options.loc,
+      };
+    }
+
+    const input = this.options.input ?? "text";
+    for(let pc = 0; pc < opcodes.length; pc += 2) {
+      const expected = INPUTS[opcodes[pc]];
+      if (expected && (expected !== input)) {
+        throw new TypeError(`Rule ${name}: the ${opcodes[pc]} instruction requires ${expected} input`);
+      }
+    }
+
+    const skip = this.options.skip;
+    const syntactic = options.syntactic ?? /^[A-Z]/.test(name);
+    let body = opcodes;
+    if (skip && syntactic && (name !== skip)) {
+      body = interleave(opcodes, consume(rule(skip)).instructions, (list) => tokenStarts(list, skip));
+    }
+
+    let code = [
+      ...body,
       "ret", action,
-    ]);
+    ];
+    if (this.options.optimize) {
+      code = optimizer.optimize(code);
+    }
+    this.rules.set(name, code);
+    this.sources.set(name, [ ...opcodes, "ret", action ]);
+    if (this.options.compile) {
+      this.natives.set(code, compiler.compile(code, this.options));
+    }
+
+    this.recursive = null;
+    this.behind = null;
+    if (options.token || (name === skip)) {
+      this.tokenNames.set(name, (typeof options.token === "string") ? options.token : name);
+    }
+    else {
+      this.tokenNames.delete(name);
+    }
+
+    if (options.memo === undefined) {
+      this.memoized.delete(name);
+    }
+    else {
+      this.memoized.set(name, !!options.memo);
+    }
+
+    if (options.ast === undefined) {
+      this.astModes.delete(name);
+    }
+    else {
+      this.astModes.set(name, options.ast);
+    }
 
     return rule(name);
   }
@@ -501,9 +1319,45 @@ class Grammar {
 
     @param{string} start - The name of the rule to match.
     @param{} context - User-supplied context
+    @param{object} [options] - The limits of the parser, and the AST mode.
+      See {@link Parser}.
+  */
+  parser(start, context, options) {
+    return new Parser(this, start, context, options);
+  }
+
+  /**
+    Return a new {@link ParserStream} for the grammar, that is, an object-mode
+    Transform stream emitting all the matches found in its input.
+
+    @param{string} start - The name of the rule to match.
+    @param{object} [options] - The stream options.
   */
-  parser(start, context) {
-    return new Parser(this, start, context);
+  stream(start, options) {
+    return new ParserStream(this, start, options);
+  }
+
+  /**
+    Return an async generator for all the matches found in an
+    asynchronous source of input. See {@link matchStream()}.
+
+    @param{AsyncIterable} source - The input.
+    @param{string} start - The name of the rule to match.
+    @param{object} [options] - The matching options.
+  */
+  matchStream(source, start, options) {
+    return matchStream(source, this, start, options);
+  }
+
+  /**
+    Generate the source of a standalone parser module for the grammar.
+    See {@link generate()}.
+
+    @param{string} start - The name of the rule to match.
+    @param{object} [options] - The generation options.
+  */
+  generate(start, options) {
+    return generator.generate(this, start, options);
   }
 }
 
@@ -512,13 +1366,21 @@ module.exports = {
   any,
   choice,
   concat,
+  grapheme,
+  ichar,
   litteral,
   rule,
 
   // predicates
   and,
+  guard,
   nat,
   not,
+  predicate,
+
+  // parse state
+  checkState,
+  withState,
 
   // quantifiers
   oneOrMore,
@@ -531,11 +1393,27 @@ module.exports = {
   consume,
   except,
   join,
+  label,
+  located,
+  operators,
   optional,
+  recover,
+  satisfy,
   string,
 
+  // binary input
+  byte,
+  bytes,
+  int,
+  uint,
+
+  // token input
+  token,
+
   // charsets
   charset,
+  icharset,
+  property,
 
   // the grammar class
   Grammar,
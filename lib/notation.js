@@ -0,0 +1,254 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  @module notation
+*/
+
+const peg = require("./grammar");
+
+const PREFIXES = {
+  "&": peg.and,
+  "!": peg.not,
+};
+
+const SUFFIXES = {
+  "?": peg.zeroOrOne,
+  "*": peg.zeroOrMore,
+  "+": peg.oneOrMore,
+};
+
+const ESCAPES = {
+  "n": "\n",
+  "r": "\r",
+  "t": "\t",
+};
+
+// ========================================================================
+//  The PEG notation grammar
+//
+//  The textual notation is parsed by Pegparse itself. Each rule action
+//  returns the Code object built from the lib/grammar.js combinators.
+// ========================================================================
+const meta = new peg.Grammar();
+
+const _ = peg.consume(peg.rule("spacing"));
+const HEX = peg.charset("0-9", "a-f", "A-F");
+const IDENT_START = peg.charset("a-z", "A-Z", "_");
+const IDENT_CHAR = IDENT_START.union("0-9", "-");
+const PROPERTY_CHAR = peg.charset("a-z", "A-Z", "0-9", "_=");
+const IGNORE_CASE = peg.zeroOrOne("i", peg.not(IDENT_CHAR));
+
+/**
+  Match a punctuation string followed by optional spaces.
+
+  Capture nothing.
+
+  @private
+*/
+function token(str) {
+  return [ peg.consume(str), _ ];
+}
+
+meta.define("grammar",
+  [ _, peg.oneOrMore(peg.rule("definition")), peg.not(peg.any()) ],
+);
+
+meta.define("definition",
+  [ peg.rule("identifier"), token("<-"), peg.rule("expression") ],
+  (name, program) => [ name, program ]
+);
+
+meta.define("expression",
+  [ peg.rule("sequence"), peg.zeroOrMore(token("/"), peg.rule("sequence")) ],
+  (...alternatives) => peg.choice(...alternatives)
+);
+
+meta.define("sequence",
+  peg.zeroOrMore(peg.rule("prefix")),
+  (...programs) => peg.concat(...programs)
+);
+
+meta.define("prefix",
+  [ peg.zeroOrOne(peg.charset("&!"), _), peg.rule("suffix") ],
+  (operator, program) => operator ? PREFIXES[operator](program) : program
+);
+
+meta.define("suffix",
+  [ peg.rule("primary"), peg.zeroOrOne(peg.charset("?*+"), _) ],
+  (program, operator) => operator ? SUFFIXES[operator](program) : program
+);
+
+meta.define("primary",
+  peg.choice(
+    peg.rule("reference"),
+    peg.rule("group"),
+    peg.rule("literal"),
+    peg.rule("class"),
+    [ peg.rule("property"), _ ],
+    peg.rule("dot"),
+  ),
+  (program) => program
+);
+
+meta.define("reference",
+  [ peg.rule("identifier"), peg.not(token("<-")) ],
+  (name) => peg.rule(name)
+);
+
+meta.define("group",
+  [ token("("), peg.rule("expression"), token(")") ],
+  (program) => program
+);
+
+meta.define("literal",
+  [
+    peg.choice(
+      [ peg.consume("'"), peg.join(peg.zeroOrMore(peg.not("'"), peg.rule("char"))), peg.consume("'") ],
+      [ peg.consume("\""), peg.join(peg.zeroOrMore(peg.not("\""), peg.rule("char"))), peg.consume("\"") ],
+    ),
+    IGNORE_CASE,
+    _,
+  ],
+  (str, nocase) => peg.litteral(str, { ignoreCase: !!nocase })
+);
+
+meta.define("class",
+  [
+    peg.consume("["),
+    peg.zeroOrOne("^"),
+    peg.zeroOrMore(peg.not("]"), peg.choice(peg.rule("property"), peg.rule("range"))),
+    peg.consume("]"),
+    IGNORE_CASE,
+    _,
+  ],
+  (negate, ...specs) => {
+    const set = specs.pop() ? peg.charset(...specs).ignoreCase() : peg.charset(...specs);
+    return negate ? peg.anyExcept(set) : set;
+  }
+);
+
+meta.define("range",
+  [ peg.rule("char"), peg.zeroOrOne(peg.consume("-"), peg.not("]"), peg.rule("char")) ],
+  (first, last) => (last === undefined) ? first : `${first}-${last}`
+);
+
+meta.define("property",
+  [ peg.consume("\\p{"), peg.join(peg.oneOrMore(PROPERTY_CHAR)), peg.consume("}") ],
+  (name) => peg.property(name)
+);
+
+meta.define("dot",
+  token("."),
+  () => peg.any()
+);
+
+meta.define("identifier",
+  [ peg.join(IDENT_START, peg.zeroOrMore(IDENT_CHAR)), _ ],
+  (name) => name,
+  { token: "rule name" }
+);
+
+meta.define("char",
+  peg.choice(
+    peg.rule("codepoint"),
+    [ peg.consume("\\"), peg.rule("escape") ],
+    [ peg.not("\\"), peg.any() ],
+  ),
+  (c) => c
+);
+
+meta.define("escape",
+  peg.choice(
+    [ peg.consume("u"), peg.join(HEX, HEX, HEX, HEX) ],
+    peg.any(),
+  ),
+  (value) => (value.length > 1) ? String.fromCharCode(parseInt(value, 16)) : (ESCAPES[value] ?? value)
+);
+
+meta.define("codepoint",
+  [ peg.consume("\\u{"), peg.join(peg.oneOrMore(HEX)), peg.consume("}") ],
+  (value) => String.fromCodePoint(parseInt(value, 16))
+);
+
+meta.define("spacing",
+  peg.zeroOrMore(peg.choice(
+    peg.charset(" \t\r\n"),
+    [ "#", peg.zeroOrMore(peg.not("\n"), peg.any()) ],
+  )),
+);
+
+// ========================================================================
+//  API
+// ========================================================================
+
+/**
+  Build a grammar from its textual PEG notation.
+
+  The notation is the one described in Bryan Ford's paper:
+
+  * `name <- expression` defines a rule;
+  * `e1 / e2` is an ordered choice;
+  * `e1 e2` is a sequence;
+  * `&e` and `!e` are the _and_ and _not_ predicates;
+  * `e?`, `e*` and `e+` are the usual quantifiers;
+  * `"abc"` or `'abc'` are litterals;
+  * `[a-z_]` or `[^"]` are (possibly negated) charsets;
+  * the `i` suffix ignores the case of a litteral or a charset, like
+    in `"select"i` or `[a-f]i`;
+  * `\p{L}` is the charset of a Unicode property (see {@link property()}).
+    It may also appear in a charset, like in `[\p{L}_]`;
+  * `.` matches any character;
+  * `#` starts a comment extending up to the end of the line.
+
+  Rule names may contain letters, digits, underscores and hyphens.
+
+  @example
+  const grammar = peg.parseGrammar(`
+    sum     <- product ("+" sum)?
+    product <- term ("*" product)?
+    term    <- [0-9]+
+  `, {
+    term: (...digits) => parseInt(digits.join("")),
+  });
+
+  @param{string} source - The textual grammar.
+  @param{object} [actions] - The actions to attach to the rules, keyed by rule name.
+  @param{Grammar} [grammar] - The grammar receiving the rule definitions.
+    A new grammar is created if omitted.
+  @return{Grammar} The grammar.
+*/
+function parseGrammar(source, actions = {}, grammar = new peg.Grammar()) {
+  const parser = meta.parser("grammar");
+  parser.accept(source);
+  parser.run();
+
+  if (parser.status !== "success") {
+    throw new SyntaxError(`Invalid PEG grammar: ${parser.error().message}`);
+  }
+
+  for(let [name, program] of parser.result()) {
+    const action = Object.prototype.hasOwnProperty.call(actions, name) ? actions[name] : undefined;
+    grammar.define(name, program, action);
+  }
+
+  return grammar;
+}
+
+module.exports = {
+  parseGrammar,
+};
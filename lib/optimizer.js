@@ -0,0 +1,417 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Peephole optimization of the VM code.
+
+  The code is first decoded into a list of instruction objects, where
+  the relative offsets of the jumps are replaced by references to the
+  target instructions. The optimizations rewrite that list, then the
+  list is encoded back into VM code.
+
+  @module optimizer
+*/
+
+const func = require("./func");
+const ranges = require("./ranges");
+
+/**
+  The target of the jumps to the end of the code.
+
+  @private
+*/
+const END = { op: "end of code" };
+
+/**
+  Instructions whose operand is a relative jump offset.
+
+  @private
+*/
+const JUMPS = new Set([
+  "choice",
+  "commit",
+  "backcommit",
+]);
+
+/**
+  Instructions whose operand is an object holding a test value
+  and a relative jump offset.
+
+  @private
+*/
+const TESTS = {
+  testchar: "char",
+  testset: "set",
+};
+
+/**
+  Decode the VM code into a list of instructions.
+
+  Each instruction is an object with the `op` and `arg` properties.
+  For jumps, the `target` property is the target instruction, or
+  the END marker.
+
+  @param{Array} code - The VM code.
+  @return{Array} The instructions.
+
+  @private
+*/
+function decode(code) {
+  const list = [];
+  for(let pc = 0; pc < code.length; pc += 2) {
+    list.push({ op: code[pc], arg: code[pc+1] });
+  }
+
+  list.forEach((instr, index) => {
+    let offset;
+    if (JUMPS.has(instr.op)) {
+      offset = instr.arg;
+      instr.arg = undefined;
+    }
+    else if (TESTS[instr.op]) {
+      offset = instr.arg.offset;
+      instr.arg = instr.arg[TESTS[instr.op]];
+    }
+    else {
+      return;
+    }
+
+    const target = index+1+offset/2;
+    instr.target = (target === list.length) ? END : list[target];
+  });
+
+  return list;
+}
+
+/**
+  Encode a list of instructions into VM code.
+
+  @param{Array} list - The instructions.
+  @return{Array} The VM code.
+
+  @private
+*/
+function encode(list) {
+  const positions = new Map();
+  list.forEach((instr, index) => positions.set(instr, index*2));
+  positions.set(END, list.length*2);
+
+  const code = [];
+  for(let instr of list) {
+    let arg = instr.arg;
+    if (instr.target) {
+      const offset = positions.get(instr.target) - positions.get(instr) - 2;
+      arg = TESTS[instr.op] ? { [TESTS[instr.op]]: instr.arg, offset } : offset;
+    }
+
+    code.push(instr.op, arg);
+  }
+
+  return code;
+}
+
+/**
+  Count the jumps to each instruction.
+
+  @private
+*/
+function references(list) {
+  const result = new Map();
+  for(let instr of list) {
+    if (instr.target) {
+      result.set(instr.target, (result.get(instr.target) ?? 0) + 1);
+    }
+  }
+
+  return result;
+}
+
+/**
+  Set the target of a jump, and update the jump counts.
+
+  @param{Map} refs - The jump counts (see {@link references()}).
+  @param{object} instr - The jump.
+  @param{object} [target] - The new target, undefined if the instruction
+    is no longer a jump.
+
+  @private
+*/
+function retarget(refs, instr, target) {
+  if (instr.target) {
+    const count = refs.get(instr.target)-1;
+    if (count > 0) {
+      refs.set(instr.target, count);
+    }
+    else {
+      refs.delete(instr.target);
+    }
+  }
+
+  instr.target = target;
+  if (target) {
+    refs.set(target, (refs.get(target) ?? 0) + 1);
+  }
+}
+
+/**
+  Remove instructions from the list, and update the jump counts.
+
+  @private
+*/
+function remove(list, index, count, refs) {
+  for(let instr of list.splice(index, count)) {
+    retarget(refs, instr, undefined);
+  }
+}
+
+/**
+  Return the set of a char or charset instruction, or undefined
+  for any other instruction.
+
+  @private
+*/
+function testSet(instr) {
+  if ((instr.op === "char") && ([ ...instr.arg ].length === 1)) {
+    const code = instr.arg.codePointAt(0);
+    return ranges.fromRanges([ [ code, code ] ]);
+  }
+  else if (instr.op === "charset") {
+    return instr.arg;
+  }
+}
+
+// ========================================================================
+//  Optimizations
+//
+//  Each optimization looks for a pattern starting at a given index
+//  in the list. On success, it rewrites the list in place and returns
+//  true. The first instruction of a pattern is kept (with a new opcode)
+//  so the jumps to the pattern remain valid. The other instructions of
+//  the pattern must not be the target of jumps from outside the pattern.
+// ========================================================================
+
+/**
+  Replace the sequence `frame, char c1, ... char cn, reduce JOIN`
+  by `string "c1...cn"`.
+
+  @private
+*/
+function string(list, index, refs) {
+  if (list[index].op !== "frame") {
+    return false;
+  }
+
+  let end = index+1;
+  while((end < list.length) && (list[end].op === "char") && (list[end].arg.length === 1) && !refs.has(list[end])) {
+    ++end;
+  }
+
+  if ((end-index-1 < 2) || (end >= list.length) || refs.has(list[end])) {
+    return false;
+  }
+  if ((list[end].op !== "reduce") || (list[end].arg !== func.JOIN)) {
+    return false;
+  }
+
+  const str = list.slice(index+1, end).map((instr) => instr.arg).join("");
+  Object.assign(list[index], { op: "string", arg: str });
+  remove(list, index+1, end-index, refs);
+
+  return true;
+}
+
+/**
+  Replace the sequence `choice L1, (char|charset) A, commit L2, L1: (char|charset) B, L2:`
+  by `charset A|B`.
+
+  @private
+*/
+function merge(list, index, refs) {
+  const [ head, first, commit, second ] = list.slice(index, index+4);
+  if (!second || (head.op !== "choice") || (commit.op !== "commit")) {
+    return false;
+  }
+  if ((head.target !== second) || (commit.target !== (list[index+4] ?? END))) {
+    return false;
+  }
+  if (refs.has(first) || refs.has(commit) || (refs.get(second) !== 1)) {
+    return false;
+  }
+
+  const a = testSet(first);
+  const b = testSet(second);
+  if (!a || !b) {
+    return false;
+  }
+
+  Object.assign(head, { op: "charset", arg: ranges.union(a, b) });
+  retarget(refs, head, undefined);
+  remove(list, index+1, 3, refs);
+
+  return true;
+}
+
+/**
+  Replace the loop `L1: choice L2, charset S, commit L1, L2:`
+  by `span S`.
+
+  @private
+*/
+function span(list, index, refs) {
+  const [ head, body, commit ] = list.slice(index, index+3);
+  if (!commit || (head.op !== "choice") || (body.op !== "charset") || (commit.op !== "commit")) {
+    return false;
+  }
+  if ((head.target !== (list[index+3] ?? END)) || (commit.target !== head)) {
+    return false;
+  }
+  if (refs.has(body) || refs.has(commit)) {
+    return false;
+  }
+
+  Object.assign(head, { op: "span", arg: body.arg });
+  retarget(refs, head, undefined);
+  remove(list, index+1, 2, refs);
+
+  return true;
+}
+
+/**
+  Replace the sequence `choice L, (char|charset) A` by `testchar A L`
+  or `testset A L`.
+
+  The test instructions only push the backtrack entry if the first
+  token matches (head-fail optimization).
+
+  @private
+*/
+function test(list, index, refs) {
+  const [ head, first ] = list.slice(index, index+2);
+  if (!first || (head.op !== "choice") || refs.has(first)) {
+    return false;
+  }
+
+  if ((first.op === "char") && (first.arg.length === 1)) {
+    head.op = "testchar";
+  }
+  else if (first.op === "charset") {
+    head.op = "testset";
+  }
+  else {
+    return false;
+  }
+
+  head.arg = first.arg;
+  remove(list, index+1, 1, refs);
+
+  return true;
+}
+
+/**
+  Replace the _and_ predicate, compiled as a double negation
+  `choice L1, choice L2, P, commit L3, L3: fail, L2: commit L4, L4: fail, L1:`
+  by `choice L1, P, backcommit L2, L1: fail, L2:`.
+
+  @private
+*/
+function predicate(list, index, refs) {
+  const [ outer, inner ] = list.slice(index, index+2);
+  if (!inner || (outer.op !== "choice") || (inner.op !== "choice") || refs.has(inner)) {
+    return false;
+  }
+
+  const l2 = list.indexOf(inner.target, index+2);
+  if ((l2 < index+4) || (l2+2 > list.length)) {
+    return false;
+  }
+
+  const [ commit1, fail1, commit2, fail2 ] = list.slice(l2-2, l2+2);
+  const l1 = list[l2+2] ?? END;
+  if ((commit1.op !== "commit") || (commit1.target !== fail1) || (fail1.op !== "fail")) {
+    return false;
+  }
+  if ((commit2.op !== "commit") || (commit2.target !== fail2) || (fail2.op !== "fail")) {
+    return false;
+  }
+  if ((outer.target !== l1) || (refs.get(commit2) !== 1)) {
+    return false;
+  }
+  if ((refs.get(fail1) !== 1) || (refs.get(fail2) !== 1)) {
+    return false;
+  }
+
+  // The outer choice now targets the fail instruction
+  retarget(refs, outer, fail2);
+  commit1.op = "backcommit";
+  retarget(refs, commit1, l1);
+  remove(list, l2-1, 2, refs);
+  remove(list, index+1, 1, refs);
+
+  return true;
+}
+
+/**
+  The optimizations, in the order they are tried.
+
+  @private
+*/
+const OPTIMIZATIONS = [
+  string,
+  merge,
+  span,
+  predicate,
+  test,
+];
+
+/**
+  Optimize the VM code of a rule.
+
+  The optimized code produces the same results as the original code,
+  using fewer instructions. However, since alternatives between single
+  characters are merged into charsets, the error messages may describe
+  the expected tokens differently.
+
+  @param{Array} code - The VM code.
+  @return{Array} The optimized VM code.
+*/
+function optimize(code) {
+  const list = decode(code);
+
+  for(let optimization of OPTIMIZATIONS) {
+    let changed = true;
+    while(changed) {
+      changed = false;
+      // The optimizations keep the jump counts up to date
+      const refs = references(list);
+      // Backward, so the innermost patterns are rewritten first
+      for(let index = list.length-1; index >= 0; --index) {
+        if ((index < list.length) && optimization(list, index, refs)) {
+          changed = true;
+        }
+      }
+    }
+  }
+
+  return encode(list);
+}
+
+module.exports = {
+  END,
+  decode,
+  encode,
+  optimize,
+};
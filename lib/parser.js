@@ -17,37 +17,366 @@
 /**
   @module parser
 */
-const util = require("util");
+
+const { contains, toRanges } = require("./ranges");
+const { Node } = require("./ast");
+
+/**
+  The maximum number of tokens examined to find a grapheme cluster.
+
+  @private
+*/
+const MAX_GRAPHEME = 32;
+
+/**
+  The segmenter splitting the input into grapheme clusters.
+  Created on first use.
+
+  @private
+*/
+let graphemes = null;
+
+/**
+  A labelled value on the stack.
+
+  @private
+*/
+class Label {
+  constructor(name, value) {
+    this.name = name;
+    this.value = value;
+  }
+}
+
+/**
+  An operator matched by an operator-precedence expression,
+  along with the data it captured.
+
+  @private
+*/
+class Operator {
+  constructor(descriptor, data) {
+    this.descriptor = descriptor;
+    this.data = data;
+  }
+}
+
+/**
+  Replace the labelled values in an array by their value.
+
+  @private
+*/
+function unlabel(data) {
+  for(let i = 0; i < data.length; ++i) {
+    if (data[i] instanceof Label) {
+      data[i] = data[i].value;
+    }
+  }
+
+  return data;
+}
+
+/**
+  Collect the AST nodes in an array of captured data, including the nodes
+  nested in arrays and labelled values.
+
+  @private
+*/
+function nodes(data, result = []) {
+  for(let item of data) {
+    if (item instanceof Label) {
+      item = item.value;
+    }
+
+    if (item instanceof Node) {
+      result.push(item);
+    }
+    else if (Array.isArray(item)) {
+      nodes(item, result);
+    }
+  }
+
+  return result;
+}
+
+/**
+  Return the key of a memo entry.
+
+  The result of a rule depends on the parse state (see {@link pushstate()}),
+  so the key of the state, if any, is part of the key of the entry.
+
+  @private
+*/
+function memoKey(rule, offset, state) {
+  return state ? `${rule}@${offset}#${state.key}` : `${rule}@${offset}`;
+}
+
+/**
+  Return a copy of a memoized AST value whose nodes are moved
+  by the given number of tokens.
+
+  @private
+*/
+function shift(value, delta) {
+  if (Array.isArray(value)) {
+    return value.map((item) => shift(item, delta));
+  }
+  else if (value instanceof Node) {
+    return new Node(value.type, shift(value.children, delta), value.text, value.start+delta, value.end+delta);
+  }
+
+  return value;
+}
+
+/**
+  Collect the labelled values in an array into an object.
+
+  @private
+*/
+function labels(data) {
+  const result = {};
+  for(let item of data) {
+    if (item instanceof Label) {
+      result[item.name] = item.value;
+    }
+  }
+
+  return result;
+}
+
+/**
+  Return a human-readable description of a charset.
+
+  @private
+*/
+function describeCharset(set) {
+  if (set.name) {
+    return set.name;
+  }
+
+  let result = "";
+  for(let [ first, last ] of toRanges(set)) {
+    result += String.fromCodePoint(first);
+    if (last > first+1) {
+      result += "-";
+    }
+    if (last > first) {
+      result += String.fromCodePoint(last);
+    }
+  }
+
+  return `[${result}]`;
+}
+
+/**
+  Return the hexadecimal notation of a byte.
+
+  @private
+*/
+function hex(value) {
+  return "0x" + value.toString(16).toUpperCase().padStart(2, "0");
+}
+
+/**
+  Return a human-readable description of a byte, or of a set of bytes.
+
+  @private
+*/
+function describeBytes(set) {
+  if (typeof set === "number") {
+    return hex(set);
+  }
+
+  const parts = toRanges(set).map(([ first, last ]) => (last > first) ? `${hex(first)}-${hex(last)}` : hex(first));
+
+  return (parts.length === 1 && !parts[0].includes("-")) ? parts[0] : `[${parts.join(", ")}]`;
+}
+
+/**
+  Return a human-readable description of an expectation.
+
+  @private
+*/
+function describe(expectation) {
+  switch(expectation.type) {
+  case "literal":
+    return JSON.stringify(expectation.value);
+  case "charset":
+    return describeCharset(expectation.value);
+  case "byte":
+    return describeBytes(expectation.value);
+  case "any":
+    return "any character";
+  case "predicate":
+    return expectation.value || "a valid match";
+  default:
+    return String(expectation.value);
+  }
+}
+
+/**
+  Return a human-readable description of a token found in the input.
+
+  @private
+*/
+function describeToken(input, token) {
+  if (token === undefined) {
+    return "end of input";
+  }
+  else if (input === "binary") {
+    return hex(token);
+  }
+  else if ((input === "tokens") && (token?.type !== undefined)) {
+    return String(token.type);
+  }
+
+  return JSON.stringify(token);
+}
+
+/**
+  Decode an integer from an array of bytes.
+
+  The 8-byte integers are decoded as BigInts.
+
+  @private
+*/
+function decodeInteger(bytes, start, format) {
+  const { size, little, signed } = format;
+  if (size === 8) {
+    let value = 0n;
+    for(let i = 0; i < size; ++i) {
+      value = (value << 8n) | BigInt(bytes[start + (little ? size-1-i : i)]);
+    }
+
+    return signed ? BigInt.asIntN(64, value) : value;
+  }
+
+  let value = 0;
+  for(let i = 0; i < size; ++i) {
+    value = value*256 + bytes[start + (little ? size-1-i : i)];
+  }
+  if (signed && (value >= 2**(8*size-1))) {
+    value -= 2**(8*size);
+  }
+
+  return value;
+}
+
+/**
+  Return the name of an integer format, like "uint16be".
+
+  @private
+*/
+function describeInteger(format) {
+  const { size, little, signed } = format;
+
+  return (signed ? "int" : "uint") + (8*size) + ((size > 1) ? (little ? "le" : "be") : "");
+}
+
+/**
+  Number of clock cycles between two checks of the limits.
+
+  @private
+*/
+const CHECK_INTERVAL = 1024;
+
+/**
+  Description of the limits, used in the error messages.
+
+  @private
+*/
+const LIMITS = {
+  maxSteps: "step limit",
+  maxStack: "stack depth limit",
+  maxBacktrack: "backtrack limit",
+  deadline: "deadline",
+};
 
 /**
   The Parser class.
 
+  The limits stop the machine with the "aborted" status when they are
+  exceeded, for example when a loop over a program matching the empty
+  input spins forever. The clock count is checked at each instruction
+  (or at each iteration of a loop for the compiled rules). The other
+  limits are checked every few hundred instructions.
+
   @param{Grammar} grammar - The grammar
   @param{String} start - The rule to match
   @param{} [context] - An object bound to `this` when the VM calls user supplied functions.
+  @param{object} [options] - The limits of the machine.
+  @param{number} [options.maxSteps] - The maximum clock count.
+  @param{number} [options.maxStack] - The maximum depth of the stack.
+  @param{number} [options.maxBacktrack] - The maximum number of pending backtrack entries.
+  @param{number} [options.deadline] - The time, in milliseconds since the epoch
+    (see `Date.now()`), when the machine must stop.
+  @param{boolean} [options.ast] - Build an abstract syntax tree made of
+    {@link Node} objects instead of calling the action of the rules. The `ast`
+    option of the rules controls their nodes (see {@link Grammar#define()}).
+  @param{boolean} [options.cst] - Build a concrete syntax tree, that is, an
+    abstract syntax tree whose nodes also hold the input matched between the
+    nodes of their sub-rules, as leaf nodes whose type is null. The matched
+    input can be printed back from the tree (see {@link print()}).
+  @param{boolean} [options.compact=true] - Discard the tokens the machine
+    can't examine any more (see {@link compact()}). Set to false to keep the
+    whole input in the buffer, as required by {@link reparse()}.
 */
 class Parser {
-  constructor(grammar, start, context) {
+  constructor(grammar, start, context, options = {}) {
     this.context = context;
 
     this.running = true; // Is the machine running?
-    this.debugging = !!process.env["PEG_DEBUG"]; // Is the machine running in debug mode?
+    this.debugging = (typeof process !== "undefined") && !!process.env["PEG_DEBUG"]; // Is the machine running in debug mode?
+    this.native = !!grammar.options?.compile && !this.debugging; // Run the compiled rules?
+    this.unicode = !!grammar.options?.unicode; // Are the tokens code points?
+    this.input = grammar.options?.input ?? "text"; // The kind of input: "text", "binary" or "tokens"
     this.status = ""; // Current mahcine status.
     this.cc = 0; // Clock counter.
+    this.limit = undefined; // The limit exceeded if the machine was aborted
+
+    this.maxSteps = options.maxSteps ?? Infinity; // Maximum clock count
+    this.maxStack = options.maxStack ?? Infinity; // Maximum stack depth
+    this.maxBacktrack = options.maxBacktrack ?? Infinity; // Maximum length of the backtrack chain
+    this.deadline = options.deadline ?? Infinity; // Time when the machine must stop
+    this.checkpoint = 0; // Clock count of the next check of the limits
+    this.cst = !!options.cst; // Build a concrete syntax tree?
+    this.ast = !!options.ast || this.cst; // Build an abstract syntax tree?
+    this.names = null; // The rule names, keyed by rule code. Built on first use
+    this.compacting = options.compact ?? true; // Discard the tokens that can't be examined any more?
 
     this.grammar = grammar;
     this.start = start;
     this.code = [];
     this.pc = 0; // The program counter.
 
-    this.tokens = ""; // The string to process
-    this.tx = 0; // Index of the currently examined token
+    // The string (or the array of code points, bytes or tokens) to process
+    this.tokens = (this.input === "binary") ? new Uint8Array(0) : (this.unicode || this.input === "tokens") ? [] : "";
+    this.surrogate = ""; // High surrogate waiting for the next chunk in Unicode mode
+    this.base = 0; // Offset in the input of the first token in the buffer
+    this.tx = 0; // Offset in the input of the currently examined token
+    this.origin = 0; // Offset in the input where the current match started
+    this.eof = false; // Has the end of the input been reached?
+    this.suspended = false; // Is the machine waiting for more tokens?
+    this.lines = [ 0 ]; // Offsets of the start of the lines
+    this.lineBase = 0; // Number of lines discarded from the line table
 
     this.stack = []; // The call stack.
     this.sx = 0; // Index of the next free cell in the stack
     this.fx = 0; // Index of the top-most stack frame
 
     this.bp = null; // Pointer to the top-most backtrack entry in the stack
+    this.state = null; // The innermost parse state scope
+
+    this.farthest = 0; // Farthest position where a failure occurred
+    this.expected = []; // What was expected at the farthest failure position
+    this.silent = 0; // Number of active token rules. Don't record expectations if > 0
+    this.errors = []; // Errors recovered from
+    this.protected = null; // The failure tracking state saved by the innermost protected program
+
+    this.memo = new Map(); // Memoized rule results, keyed by rule and position
+    this.memoLimit = grammar.options?.memoLimit ?? Infinity;
+    this.reach = 0; // Offset past the last token examined since the current memoized call started
+    this.located = false; // Has the span of a match been used since the current memoized call started?
 
     // this.catures = [] // list of captures. Not implemented.
 
@@ -68,6 +397,9 @@ class Parser {
     * A dump of the operational ("call") stack.
   */
   dump() {
+    // Loaded lazily, since standalone parsers may run outside of Node.js
+    const util = require("util");
+
     function _i(object) {
       return util.inspect(object, { compact: true, breakLength: Infinity, depth: 1 });
     }
@@ -127,17 +459,18 @@ class Parser {
     }
 
     // token ribbon
-    const end = Math.min(this.tokens.length, this.tx+20);
-    const start = Math.max(0, end-40);
+    const end = Math.min(this.base+this.tokens.length, this.tx+20);
+    const start = Math.max(this.base, end-40);
 
     let ribbon1 = "";
     let ribbon2 = "";
     for(let i = start; i<end; ++i) {
       let c = ".";
 
-      const cc = this.tokens.charCodeAt(i);
+      const token = this.tokens[i-this.base];
+      const cc = (typeof token === "string") ? token.codePointAt(0) : -1;
       if ((cc >= 32) && (cc !== 127)) {
-        c = this.tokens[i];
+        c = token;
       }
 
       ribbon1 += c;
@@ -178,149 +511,890 @@ class Parser {
     return this.stack[--this.sx];
   }
 
-  // ----------------------------------------------------------------------
-  // Assembler
-  // ----------------------------------------------------------------------
-
   /**
-    Push a value onto the stack.
+    Store a memo entry, discarding the oldest completed entries
+    if the memo table exceeds its size limit.
 
-    @kind VM instruction.
+    @private
   */
-  pushd(value) {
-    this.push(value);
+  memorize(key, entry) {
+    this.memo.set(key, entry);
+
+    for(let [k, e] of this.memo) {
+      if (this.memo.size <= this.memoLimit) {
+        break;
+      }
+      if (!e.pending) {
+        this.memo.delete(k);
+      }
+    }
   }
 
   /**
-    Test for a character. Fail if it doesn't match.
+    Record what was expected at the current position.
 
-    @kind VM instruction.
-  */
-  char(c) {
-    const token = this.tokens[this.tx];
+    Only the expectations at the farthest failure position are kept.
 
-    if (token === c) {
-      this.push(token);
-      ++this.tx;
+    @private
+  */
+  expect(type, value) {
+    if (this.silent || (this.tx < this.farthest)) {
+      return;
     }
-    else {
-      this.fail();
+
+    if (this.tx > this.farthest) {
+      this.farthest = this.tx;
+      this.expected = [];
     }
+    this.expected.push({ type, value });
   }
 
   /**
-    Match any character in a string. Fail if it doesn't match.
+    Return the line and column number of an offset in the input.
 
-    @kind VM instruction.
-  */
-  charset(set) {
-    const token = this.tokens[this.tx];
+    Line and column numbers are one-based.
 
-    if (token && token.charCodeAt(0) in set) {
-      this.push(token);
-      ++this.tx;
-    }
-    else {
-      this.fail();
+    @private
+  */
+  position(offset) {
+    // binary search for the last line starting at or before offset
+    const lines = this.lines;
+    let lo = 0;
+    let hi = lines.length-1;
+    while(lo < hi) {
+      const mid = (lo+hi+1) >> 1;
+      if (lines[mid] <= offset) {
+        lo = mid;
+      }
+      else {
+        hi = mid-1;
+      }
     }
+
+    return { offset, line: this.lineBase+lo+1, column: offset-lines[lo]+1 };
   }
 
   /**
-    Move the tx. Fail if it would move _before_ the first token.
+    Return the span of the input between two offsets.
 
-    @kind VM instruction.
+    @private
   */
-  move(delta) {
-    const dest = this.tx + delta;
-    if (dest < 0) {
-      this.fail();
-    }
-    else {
-      this.tx = dest;
-    }
+  locate(start, end) {
+    return {
+      start: this.position(start),
+      end: this.position(end),
+    };
   }
 
   /**
-    Test for any character. Fail if there is no
-    character at the current position (i.e.: before the first
-    or after the last character).
+    Apply an action to the data captured since the given start position.
+
+    The action is either:
+    * undefined. The data are packed into an array;
+    * a callable, called with the captured data as arguments;
+    * an action descriptor, that is an object with the following properties:
+      - `action`: the callable to use, if any;
+      - `named`: if true, the labelled data are collected into an object
+        passed as the only argument of the callable (or used as the result
+        if there is no callable). Unlabelled data are discarded;
+      - `location`: if true, pass the span of the match as the first argument
+        of the callable;
+      - `loc`: if true, attach the span of the match to the result as its
+        `loc` property, if the result is an object.
+
+    Unless the `named` option is set, labelled data are replaced by their value.
+
+    A span is an object whose `start` and `end` properties are positions
+    (`{ offset, line, column }`) in the input.
 
-    @kind VM instruction.
+    @private
   */
-  any() {
-    const token = this.tokens[this.tx];
-    if (token && (token !== "\x00")) { // TODO Remove the \0 thing
-      this.push(token);
-      ++this.tx;
+  apply(action, data, start) {
+    if (!action) {
+      return unlabel(data);
+    }
+    else if (typeof action === "function") {
+      return action.apply(this.context, unlabel(data));
+    }
+
+    const args = action.named ? [ labels(data) ] : unlabel(data);
+    const span = this.locate(start, this.tx);
+    if (action.location || action.loc) {
+      this.located = true;
+    }
+    if (action.location && action.action) {
+      args.unshift(span);
+    }
+
+    let value;
+    if (action.action) {
+      value = action.action.apply(this.context, args);
     }
     else {
-      this.fail();
+      value = action.named ? args[0] : args;
     }
+
+    if (action.loc && (value !== null) && (typeof value === "object" || typeof value === "function")) {
+      value.loc = span;
+    }
+
+    return value;
   }
 
   /**
-    Force a failure. Return to the last saved backtrack point
-    or stop the machine and signal failure.
+    Build the AST node of the current rule, from the data captured
+    since the given start position.
 
-    @kind VM instruction.
+    Depending on the `ast` option of the rule, return a node, a node without
+    children ("flatten"), the child nodes ("inline"), or nothing ("omit").
+
+    In CST mode, the input between the child nodes is kept as leaf nodes.
+    The rules without a node of their own, either omitted or inlined without
+    child nodes, return their input as a leaf node.
+
+    @private
   */
-  fail() {
-    const backtrace = this.bp;
-    if (backtrace) {
-      this.bp = backtrace.bp;
-      this.pc = backtrace.pc;
-      this.code = backtrace.code;
-      this.tx = backtrace.tx;
-      this.sx = backtrace.sx;
-      this.fx = backtrace.fx;
+  node(data, start) {
+    if (!this.names) {
+      this.names = new Map();
+      for(let [ name, code ] of this.grammar.rules) {
+        this.names.set(code, name);
+      }
     }
-    else {
-      this.running = false;
-      this.status = "failure";
+
+    const type = this.names.get(this.code);
+    const mode = this.grammar.astMode(type);
+    if (this.cst && ((mode === "omit") || (mode === "inline"))) {
+      const children = (mode === "inline") ? nodes(data) : [];
+      if (children.length) {
+        return this.fill(children, start);
+      }
+
+      return (this.tx > start) ? [ new Node(null, [], this.text(start, this.tx), start, this.tx) ] : [];
+    }
+
+    switch(mode) {
+    case "omit":
+      return undefined;
+    case "inline":
+      return nodes(data);
+    }
+
+    let children = (mode === "flatten") ? [] : nodes(data);
+    if (this.cst) {
+      children = this.fill(children, start);
     }
+
+    return new Node(type, children, this.text(start, this.tx), start, this.tx);
   }
 
   /**
-    Stop the machine. Signal success.
+    Insert leaf nodes holding the input matched between the given nodes,
+    from the start position up to the current position.
 
-    @kind VM instruction.
+    Nodes without children hold their input as text, so they are
+    left unchanged.
+
+    @private
   */
-  end() {
-    this.running = false;
-    this.status = "success";
+  fill(children, start) {
+    if (children.length === 0) {
+      return children;
+    }
+
+    const result = [];
+    let offset = start;
+    for(let child of children) {
+      if (child.start > offset) {
+        result.push(new Node(null, [], this.text(offset, child.start), offset, child.start));
+      }
+      result.push(child);
+      offset = Math.max(offset, child.end);
+    }
+    if (this.tx > offset) {
+      result.push(new Node(null, [], this.text(offset, this.tx), offset, this.tx));
+    }
+
+    return result;
   }
 
   /**
-    Replace the current stack frame by the result
-    of an external (JavaScript) function.
+    Return the input between two offsets.
 
-    @kind VM instruction.
+    @private
   */
-  call(fct) {
-    const data = this.stack.slice(this.fx, this.sx);
-    // console.log(this.fx, this.sx, data)
-    this.sx = this.fx;
-    this.fx = this.pop();
+  text(start, end) {
+    const text = this.tokens.slice(start-this.base, end-this.base);
 
-    this.push(fct.apply(this.context, data));
+    return this.unicode ? text.join("") : text;
   }
 
   /**
-    Jump to subroutine (or subrule ?)
+    Suspend the machine if the current instruction needs a token
+    beyond the end of the buffer, and more tokens may come.
 
-    Save the current pc and code, then jump on
-    the first instruction for the given nonterminal.
+    The current instruction will be executed again once more tokens
+    are available (see {@link accept()}) or once the end of the input
+    is signaled (see {@link run()}).
 
-    @kind VM instruction.
+    Return true if the machine was suspended.
+
+    @param{number} [offset=0] - The position of the needed token,
+      relative to the current position.
+
+    @private
+  */
+  starve(offset = 0) {
+    if (this.eof || (this.tx+offset < this.base+this.tokens.length)) {
+      return false;
+    }
+
+    this.pc -= 2;
+    this.suspended = true;
+    return true;
+  }
+
+  /**
+    Discard the tokens the machine can't examine any more.
+
+    The machine may go back to the position saved in any backtrack entry,
+    or in any stack frame (since the action of a rule may need the
+    start of the match), then look behind that position as far as the
+    grammar allows it. The tokens before are discarded, along with the
+    corresponding memo entries and line starts.
+
+    The offsets remain absolute, so compaction has no visible effect, except
+    on memory usage. To keep the cost of compaction amortized, the buffer
+    is only compacted when at least half of it can be discarded.
+
+    @private
+  */
+  compact() {
+    if (!this.compacting) {
+      return;
+    }
+
+    let horizon = Math.min(this.tx, this.farthest, this.base+this.tokens.length);
+    for(let bp = this.bp; bp; bp = bp.bp) {
+      horizon = Math.min(horizon, bp.tx);
+    }
+    for(let fx = this.fx; fx > 0; fx = this.stack[fx-1]) {
+      horizon = Math.min(horizon, this.stack[fx-2]);
+    }
+    horizon -= this.grammar.lookbehind();
+
+    const count = horizon-this.base;
+    if ((count <= 0) || (count*2 < this.tokens.length)) {
+      return;
+    }
+
+    this.tokens = this.tokens.slice(count);
+    this.base = horizon;
+
+    for(let [key, entry] of this.memo) {
+      if (entry.start < horizon) {
+        this.memo.delete(key);
+      }
+    }
+
+    // keep the start of the line containing the horizon
+    let n = 0;
+    while((n+1 < this.lines.length) && (this.lines[n+1] <= horizon)) {
+      ++n;
+    }
+    this.lines.splice(0, n);
+    this.lineBase += n;
+  }
+
+  // ----------------------------------------------------------------------
+  // Assembler
+  // ----------------------------------------------------------------------
+
+  /**
+    Push a value onto the stack.
+
+    @kind VM instruction.
+  */
+  pushd(value) {
+    this.push(value);
+    this.overflow();
+  }
+
+  /**
+    Test for a character. Fail if it doesn't match.
+
+    @kind VM instruction.
+  */
+  char(c) {
+    const token = this.tokens[this.tx-this.base];
+
+    if (token === c) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("literal", c);
+      this.fail();
+    }
+  }
+
+  /**
+    Match any character in a string. Fail if it doesn't match.
+
+    @kind VM instruction.
+  */
+  charset(set) {
+    const token = this.tokens[this.tx-this.base];
+
+    if (token && contains(set, token.codePointAt(0))) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("charset", set);
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a string. Fail if it doesn't match.
+
+    Capture the whole string. On failure, the expected character is
+    reported at the position of the first mismatch.
+
+    @kind VM instruction.
+  */
+  string(str) {
+    const start = this.tx-this.base;
+    for(let i = 0; i < str.length; ++i) {
+      if (this.tokens[start+i] !== str[i]) {
+        if (!this.starve(i)) {
+          this.tx += i;
+          this.expect("literal", str[i]);
+          this.fail();
+        }
+        return;
+      }
+    }
+
+    this.push(str);
+    this.tx += str.length;
+  }
+
+  /**
+    Test for a character, ignoring case. Fail if it doesn't match.
+
+    @param{Array} variants - The case variants of the character, starting
+      with the character itself.
+
+    @kind VM instruction.
+  */
+  ichar(variants) {
+    const token = this.tokens[this.tx-this.base];
+
+    if (variants.includes(token)) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("literal", variants[0]);
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a string, ignoring case. Fail if it doesn't match.
+
+    Capture the string as found in the input. On failure, the expected
+    character is reported at the position of the first mismatch.
+
+    @param{Array} variants - The case variants of each character of the
+      folded string (see {@link ichar()}), followed by the [character, length]
+      pairs of the characters matching several characters of the string.
+
+    @kind VM instruction.
+  */
+  istring(variants) {
+    const start = this.tx-this.base;
+    let offset = 0;
+    for(let i = 0; i < variants.length; ++offset) {
+      const token = this.tokens[start+offset];
+      if (variants[i].includes(token)) {
+        ++i;
+        continue;
+      }
+
+      const folded = variants[i].find((variant) => Array.isArray(variant) && (variant[0] === token));
+      if (folded) {
+        i += folded[1];
+        continue;
+      }
+
+      if (!this.starve(offset)) {
+        this.tx += offset;
+        this.expect("literal", variants[i][0]);
+        this.fail();
+      }
+      return;
+    }
+
+    const match = this.tokens.slice(start, start+offset);
+    this.push(this.unicode ? match.join("") : match);
+    this.tx += offset;
+  }
+
+  /**
+    Match zero or more characters in a charset. Never fail.
+
+    @kind VM instruction.
+  */
+  span(set) {
+    let token = this.tokens[this.tx-this.base];
+    while(token && contains(set, token.codePointAt(0))) {
+      this.push(token);
+      ++this.tx;
+      token = this.tokens[this.tx-this.base];
+    }
+
+    if (!this.starve()) {
+      this.expect("charset", set);
+    }
+  }
+
+  /**
+    Test for a character. If it matches, create a backtrack entry
+    (as {@link choice()} does) then push the character. Otherwise,
+    jump to the instruction at the given offset.
+
+    @param{object} test - The character (`char` property) and the
+      offset (`offset` property) of the next instruction if it doesn't match.
+
+    @kind VM instruction.
+  */
+  testchar(test) {
+    const token = this.tokens[this.tx-this.base];
+
+    if (token === test.char) {
+      this.choice(test.offset);
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("literal", test.char);
+      this.pc += test.offset;
+    }
+  }
+
+  /**
+    Test for any character in a charset. If it matches, create a backtrack entry
+    (as {@link choice()} does) then push the character. Otherwise,
+    jump to the instruction at the given offset.
+
+    @param{object} test - The charset (`set` property) and the
+      offset (`offset` property) of the next instruction if it doesn't match.
+
+    @kind VM instruction.
+  */
+  testset(test) {
+    const token = this.tokens[this.tx-this.base];
+
+    if (token && contains(test.set, token.codePointAt(0))) {
+      this.choice(test.offset);
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("charset", test.set);
+      this.pc += test.offset;
+    }
+  }
+
+  /**
+    Move the tx. Fail if it would move _before_ the first token.
+
+    @kind VM instruction.
+  */
+  move(delta) {
+    const dest = this.tx + delta;
+    if (dest < this.base) {
+      this.fail();
+    }
+    else {
+      this.reach = Math.max(this.reach, this.tx+1);
+      this.tx = dest;
+    }
+  }
+
+  /**
+    Test for any character. Fail if there is no
+    character at the current position (i.e.: before the first
+    or after the last character).
+
+    @kind VM instruction.
+  */
+  any() {
+    const token = this.tokens[this.tx-this.base];
+    if ((token !== undefined) && (token !== "\x00")) { // TODO Remove the \0 thing
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("any");
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a grapheme cluster. Fail if there is no character
+    at the current position.
+
+    Capture the grapheme cluster as a string.
+
+    Require `Intl.Segmenter` (Node.js 16 or later).
+
+    @kind VM instruction.
+  */
+  grapheme() {
+    if (typeof Intl === "undefined" || !Intl.Segmenter) {
+      throw new TypeError("Matching grapheme clusters requires Intl.Segmenter (Node.js 16 or later)");
+    }
+
+    const start = this.tx-this.base;
+    const window = this.tokens.slice(start, start+MAX_GRAPHEME);
+    if (window.length === 0) {
+      if (!this.starve()) {
+        this.expect("any");
+        this.fail();
+      }
+      return;
+    }
+
+    graphemes = graphemes ?? new Intl.Segmenter(undefined, { granularity: "grapheme" });
+    const text = this.unicode ? window.join("") : window;
+    const { segment } = graphemes.segment(text)[Symbol.iterator]().next().value;
+    const length = this.unicode ? [ ...segment ].length : segment.length;
+
+    // The cluster may extend over the next chunk
+    if (!this.starve(length)) {
+      this.push(segment);
+      this.tx += length;
+    }
+  }
+
+  /**
+    Test for a token satisfying a predicate. Fail if it doesn't match.
+
+    @param{object} test - The predicate (`predicate` property), called
+      with the context bound to `this`, and the description of the
+      expected token (`description` property).
+
+    @kind VM instruction.
+  */
+  satisfy(test) {
+    const token = this.tokens[this.tx-this.base];
+
+    if ((token !== undefined) && test.predicate.call(this.context, token)) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("token", test.description);
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a byte in a set. Fail if it doesn't match.
+
+    @kind VM instruction.
+  */
+  byte(set) {
+    const token = this.tokens[this.tx-this.base];
+
+    if ((token !== undefined) && contains(set, token)) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("byte", set);
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a sequence of bytes. Fail if it doesn't match.
+
+    Capture the bytes as a Uint8Array. On failure, the expected byte is
+    reported at the position of the first mismatch.
+
+    @kind VM instruction.
+  */
+  bytes(values) {
+    const start = this.tx-this.base;
+    for(let i = 0; i < values.length; ++i) {
+      if (this.tokens[start+i] !== values[i]) {
+        if (!this.starve(i)) {
+          this.tx += i;
+          this.expect("byte", values[i]);
+          this.fail();
+        }
+        return;
+      }
+    }
+
+    this.push(this.tokens.slice(start, start+values.length));
+    this.tx += values.length;
+  }
+
+  /**
+    Decode an integer. Fail if there are not enough bytes left.
+
+    @param{object} format - The size of the integer in bytes (`size` property),
+      the byte order (`little` property) and the signedness (`signed` property).
+
+    @kind VM instruction.
+  */
+  int(format) {
+    const start = this.tx-this.base;
+
+    if (start+format.size <= this.tokens.length) {
+      this.push(decodeInteger(this.tokens, start, format));
+      this.tx += format.size;
+    }
+    else if (!this.starve(format.size-1)) {
+      this.reach = Math.max(this.reach, this.tx+format.size);
+      this.expect("integer", describeInteger(format));
+      this.fail();
+    }
+  }
+
+  /**
+    Test for a token object of a given type. Fail if it doesn't match.
+
+    @kind VM instruction.
+  */
+  token(type) {
+    const token = this.tokens[this.tx-this.base];
+
+    if ((token !== undefined) && (token?.type === type)) {
+      this.push(token);
+      ++this.tx;
+    }
+    else if (!this.starve()) {
+      this.expect("token", type);
+      this.fail();
+    }
+  }
+
+  /**
+    Force a failure. Return to the last saved backtrack point
+    or stop the machine and signal failure.
+
+    @kind VM instruction.
+  */
+  fail() {
+    this.reach = Math.max(this.reach, this.tx+1);
+
+    const backtrace = this.bp;
+    if (backtrace) {
+      this.bp = backtrace.bp;
+      this.pc = backtrace.pc;
+      this.code = backtrace.code;
+      this.tx = backtrace.tx;
+      this.sx = backtrace.sx;
+      this.fx = backtrace.fx;
+      this.state = backtrace.state;
+      if (this.errors.length > backtrace.ex) {
+        this.errors.length = backtrace.ex;
+      }
+    }
+    else {
+      // The parse backtracked out of all the recovered errors
+      this.errors = [];
+      this.running = false;
+      this.status = "failure";
+    }
+  }
+
+  /**
+    Start a program protected by an error recovery.
+
+    Save the failure tracking state, then track the failures of
+    the program only, so the errors recorded by {@link recover()} are
+    not mixed up with the failures of the previous alternatives.
+
+    @see unprotect()
+
+    @kind VM instruction.
+  */
+  protect() {
+    this.protected = {
+      farthest: this.farthest,
+      expected: this.expected,
+      up: this.protected,
+    };
+
+    this.farthest = this.tx;
+    this.expected = [];
+  }
+
+  /**
+    End a protected program that succeeded. Merge the failures of
+    the program with the saved failure tracking state.
+
+    @see protect()
+
+    @kind VM instruction.
+  */
+  unprotect() {
+    const saved = this.protected;
+    this.protected = saved.up;
+
+    if (saved.farthest > this.farthest) {
+      this.farthest = saved.farthest;
+      this.expected = saved.expected;
+    }
+    else if (saved.farthest === this.farthest) {
+      this.expected = saved.expected.concat(this.expected);
+    }
+  }
+
+  /**
+    Record the error at the farthest failure position of the
+    protected program in the list of recovered errors, then start
+    tracking the failures again from the current position.
+
+    @see protect()
+    @see error()
+    @see errors
+
+    @kind VM instruction.
+  */
+  recover() {
+    this.protected = this.protected.up;
+    this.errors.push(this.report());
+
+    this.farthest = this.tx;
+    this.expected = [];
+  }
+
+  /**
+    Stop the machine. Signal success.
+
+    @kind VM instruction.
+  */
+  end() {
+    this.running = false;
+    this.status = "success";
+  }
+
+  /**
+    Replace the current stack frame by the result
+    of an external (JavaScript) function.
+
+    @kind VM instruction.
+  */
+  call(fct) {
+    const data = this.stack.slice(this.fx, this.sx);
+    // console.log(this.fx, this.sx, data)
+    this.sx = this.fx;
+    this.fx = this.pop();
+    this.pop(); // saved TX
+
+    this.push(fct.apply(this.context, unlabel(data)));
+  }
+
+  /**
+    Call a predicate with the context bound to `this`.
+    Fail if it returns a falsy value.
+
+    @param{object} test - The predicate (`predicate` property), and the
+      description of what it accepts (`description` property).
+
+    @kind VM instruction.
+  */
+  predicate(test) {
+    if (!test.predicate.call(this.context)) {
+      this.expect("predicate", test.description);
+      this.fail();
+    }
+  }
+
+  /**
+    Jump to subroutine (or subrule ?)
+
+    Save the current pc and code, then jump on
+    the first instruction for the given nonterminal.
+
+    @kind VM instruction.
   */
   jsr(nonterminal) {
+    const token = this.grammar.tokenName(nonterminal);
+    let entry = null;
+    if (this.grammar.isMemoized(nonterminal)) {
+      const key = memoKey(nonterminal, this.tx, this.state);
+      entry = this.memo.get(key);
+      if (entry) {
+        if (entry.pending) {
+          // Left recursion. Use the seed grown so far.
+          this.involve(entry);
+        }
+        else {
+          this.replay(entry);
+        }
+
+        // Replay the memoized result
+        if (entry.success) {
+          this.push(entry.value);
+          this.tx = entry.end;
+        }
+        else {
+          if (token) {
+            this.expect("token", token);
+          }
+          this.fail();
+        }
+        return;
+      }
+
+      entry = {
+        key: key,
+        rule: nonterminal,
+        start: this.tx,
+        end: this.tx,
+        pending: true, // Is the rule being evaluated?
+        success: false,
+        value: undefined,
+        state: this.state, // The parse state of the call
+        lr: false, // Has left recursion been detected?
+        involved: false, // Is the rule involved in the left recursion of another rule?
+        reach: this.tx, // Offset past the last token examined by the rule
+        farthest: this.farthest, // Farthest failure position of the rule
+        expected: [], // What the rule expected at its farthest failure position
+        located: false, // Does the value depend on the position of the match?
+        errors: [], // The errors the rule recovered from
+        caller: { // The state of the caller, restored when the call is settled
+          reach: this.reach,
+          located: this.located,
+          farthest: this.farthest,
+          expected: this.expected.length,
+          errors: this.errors.length,
+        },
+      };
+      this.memorize(key, entry);
+      this.reach = this.tx;
+      this.located = false;
+    }
+
     /*
       Push a new frame onto the stack:
 
              ---------------
             |   saved PC    | |
              ---------------  |
-            |   saved CODE  | |  New stack frame
+            |   saved CODE  | |
+             ---------------  |  New stack frame
+            |   saved TX    | |
              ---------------  |
             |   saved FX    | |
              ---------------
@@ -328,32 +1402,225 @@ class Parser {
             |   DATA        |
             |   ...         |
 
+      The saved TX is the position of the input where the rule starts.
     */
     // save the return address on the stack
     this.push(this.pc);
     this.push(this.code);
+    this.push(this.tx);
     this.push(this.fx);
     this.fx = this.sx;
+    this.overflow();
 
     this.pc = 0;
     this.code = this.grammar.get(nonterminal);
+
+    if (entry || token) {
+      // Guard the call to record the failure of the rule
+      const call = { entry, token };
+      this.bp = {
+        bp: this.bp,
+        pc: 0,
+        code: [ "unwind", call ],
+        tx: this.tx,
+        sx: this.sx,
+        fx: this.fx,
+        ex: this.errors.length,
+        state: this.state,
+        call: call,
+      };
+
+      if (token) {
+        this.silent += 1;
+      }
+    }
   }
 
   /**
-    Return from a call.
+    Return the code of a rule, if the compiled code can call it directly,
+    without the guard entry of {@link jsr()}. Otherwise, return undefined.
 
-    @kind VM instruction.
+    @private
   */
-  ret(fct) {
-    // pop data
-    const data = this.stack.slice(this.fx, this.sx);
-    // console.log(this.fx, this.sx, data)
+  direct(nonterminal) {
+    const code = this.grammar.get(nonterminal);
+    if (this.grammar.isMemoized(nonterminal) || (this.grammar.tokenName(nonterminal) !== undefined) || !this.grammar.native(code)) {
+      return undefined;
+    }
+
+    return code;
+  }
+
+  /**
+    Mark a pending memo entry as left-recursive.
+
+    The memoized calls started at the same position since the
+    left-recursive rule was entered depend on the seed. Their
+    results must not be kept in the memo table.
+
+    @private
+  */
+  involve(entry) {
+    entry.lr = true;
+
+    for(let bp = this.bp; bp && !(bp.call && bp.call.entry === entry); bp = bp.bp) {
+      const other = bp.call && bp.call.entry;
+      if (other && (other.start === entry.start)) {
+        other.involved = true;
+      }
+    }
+  }
+
+  /**
+    Store the outcome of a memoized call ending at the current position.
+
+    @private
+  */
+  settle(entry, success, value) {
+    const caller = entry.caller;
+    entry.pending = false;
+    entry.success = success;
+    entry.value = value;
+    entry.end = this.tx;
+    entry.reach = Math.max(this.reach, this.tx+1);
+    entry.located = this.located;
+    entry.errors = this.errors.slice(caller.errors);
+    entry.farthest = this.farthest;
+    entry.expected = (this.farthest === caller.farthest) ? this.expected.slice(caller.expected) : this.expected.slice();
+    entry.caller = null;
+
+    this.reach = Math.max(caller.reach, entry.reach);
+    this.located = caller.located || entry.located;
+
+    if (entry.involved && (this.memo.get(entry.key) === entry)) {
+      this.memo.delete(entry.key);
+    }
+  }
+
+  /**
+    Replay the side effects of a memoized call on the state of the caller:
+    the input examined, the use of the span of the match, the errors
+    recovered from, and the expectations recorded at the farthest failure
+    position.
+
+    @private
+  */
+  replay(entry) {
+    this.reach = Math.max(this.reach, entry.reach);
+    this.located = this.located || entry.located;
+    this.errors.push(...entry.errors);
+
+    if (this.silent || (entry.expected.length === 0) || (entry.farthest < this.farthest)) {
+      return;
+    }
+    if (entry.farthest > this.farthest) {
+      this.farthest = entry.farthest;
+      this.expected = [];
+    }
+    this.expected.push(...entry.expected);
+  }
+
+  /**
+    Pop the current rule frame, then push the value returned by the rule.
+
+    @private
+  */
+  leave(value) {
     this.sx = this.fx;
     this.fx = this.pop();
+    this.pop(); // saved TX
     this.code = this.pop();
     this.pc = this.pop();
 
-    this.push(fct ? fct.apply(this.context, data) : data);
+    this.push(value);
+  }
+
+  /**
+    Record the failure of a guarded rule, then propagate the failure.
+
+    This instruction is executed when backtracking through the guard
+    entry set by {@link jsr()} for memoized and token rules. If the rule
+    is left-recursive, the failure only means the seed can't grow any
+    further: the rule returns the seed instead of failing.
+
+    @kind VM instruction.
+  */
+  unwind(call) {
+    const entry = call.entry;
+    if (call.token) {
+      this.silent -= 1;
+    }
+
+    if (entry && entry.lr && entry.success) {
+      this.tx = entry.end;
+      this.settle(entry, true, entry.value);
+      this.leave(entry.value);
+      return;
+    }
+
+    if (entry) {
+      this.settle(entry, false, undefined);
+    }
+    if (call.token) {
+      this.expect("token", call.token);
+    }
+    this.fail();
+  }
+
+  /**
+    Return from a call.
+
+    For a left-recursive rule, store the result as the new seed
+    and evaluate the rule again, as long as the seed grows.
+
+    @kind VM instruction.
+  */
+  ret(fct) {
+    // the guard entry of the call, if any, is on top of the backtrack stack
+    const guard = this.bp;
+    const call = (guard && guard.call && guard.fx === this.fx) ? guard.call : null;
+    const entry = call && call.entry;
+
+    if (entry && entry.lr && entry.success && (this.tx <= entry.end)) {
+      // the seed didn't grow: return it
+      this.bp = guard.bp;
+      if (call.token) {
+        this.silent -= 1;
+      }
+      this.tx = entry.end;
+      this.settle(entry, true, entry.value);
+      this.leave(entry.value);
+      return;
+    }
+
+    // pop data
+    const data = this.stack.slice(this.fx, this.sx);
+    // console.log(this.fx, this.sx, data)
+    const value = this.ast ? this.node(data, this.stack[this.fx-2]) : this.apply(fct, data, this.stack[this.fx-2]);
+
+    if (entry && entry.lr) {
+      // grow the seed
+      entry.success = true;
+      entry.value = value;
+      entry.end = this.tx;
+
+      this.sx = this.fx;
+      this.reach = Math.max(this.reach, this.tx+1);
+      this.tx = entry.start;
+      this.pc = 0;
+      return;
+    }
+
+    if (call) {
+      this.bp = guard.bp;
+      if (call.token) {
+        this.silent -= 1;
+      }
+    }
+    if (entry) {
+      this.settle(entry, true, value);
+    }
+    this.leave(value);
   }
 
   /**
@@ -365,8 +1632,10 @@ class Parser {
     @kind VM instruction.
   */
   frame() {
+    this.push(this.tx);
     this.push(this.fx);
     this.fx = this.sx;
+    this.overflow();
   }
 
   /**
@@ -380,6 +1649,7 @@ class Parser {
   drop() {
     this.sx = this.fx;
     this.fx = this.pop();
+    this.pop(); // saved TX
   }
 
   /**
@@ -388,7 +1658,8 @@ class Parser {
     stack frame by the result of the function applied to the data
     on the frame. If no user function is specified, pack the data in an array.
 
-    @param{callable} [fct] - The callable to use to pack the data.
+    @param{callable|object} [fct] - The callable to use to pack the data,
+      or an action descriptor (see {@link apply()}).
 
     @see drop()
     @see frame()
@@ -401,8 +1672,131 @@ class Parser {
     // console.log(this.fx, this.sx, data)
     this.sx = this.fx;
     this.fx = this.pop();
+    const start = this.pop();
+
+    this.push(this.apply(fct, data, start));
+  }
+
+  /**
+    Check the data on the current stack frame using a predicate.
+    Fail if the predicate returns a falsy value. Otherwise, drop
+    the frame but keep its data.
+
+    The predicate is called with the data as arguments, and the
+    context bound to `this`.
+
+    @param{object} test - The predicate (`predicate` property), and the
+      description of what it accepts (`description` property).
+
+    @see frame()
+
+    @kind VM instruction.
+  */
+  check(test) {
+    const data = this.stack.slice(this.fx, this.sx);
+    if (!test.predicate.apply(this.context, unlabel(data.slice()))) {
+      this.expect("predicate", test.description);
+      return this.fail();
+    }
+
+    this.sx = this.fx;
+    this.fx = this.pop();
+    this.pop(); // saved TX
+    for(let item of data) {
+      this.push(item);
+    }
+  }
+
+  /**
+    Reduce the current stack frame to one labelled value.
+
+    The value is the only item on the frame, undefined if the frame
+    is empty, or an array containing all the items on the frame.
+
+    @param{string} name - The label.
+
+    @see frame()
+
+    @kind VM instruction.
+  */
+  label(name) {
+    const data = unlabel(this.stack.slice(this.fx, this.sx));
+    this.sx = this.fx;
+    this.fx = this.pop();
+    this.pop(); // saved TX
+
+    this.push(new Label(name, (data.length > 1) ? data : data[0]));
+  }
+
+  /**
+    Reduce the current stack frame to an operator of an
+    operator-precedence expression.
+
+    @param{object} descriptor - The kind (`kind` property), the precedence
+      (`precedence` property), the associativity (`assoc` property) and the
+      action (`action` property) of the operator.
+
+    @see climb()
+
+    @kind VM instruction.
+  */
+  operator(descriptor) {
+    const data = this.stack.slice(this.fx, this.sx);
+    this.sx = this.fx;
+    this.fx = this.pop();
+    this.pop(); // saved TX
 
-    this.push(fct ? fct.apply(this.context, data) : data);
+    this.push(new Operator(descriptor, data));
+  }
+
+  /**
+    Reduce the current stack frame, holding the operands and the operators
+    of an expression in input order, using precedence climbing.
+
+    @see operator()
+
+    @kind VM instruction.
+  */
+  climb() {
+    const items = this.stack.slice(this.fx, this.sx);
+    this.sx = this.fx;
+    this.fx = this.pop();
+    this.pop(); // saved TX
+
+    let i = 0;
+    // Reduce the expression starting at items[i], up to the first operator
+    // whose precedence is below min (or equal to min, if not inclusive)
+    const expression = (min, inclusive) => {
+      let lhs = items[i++];
+      if (lhs instanceof Operator) {
+        const { action, precedence } = lhs.descriptor;
+        lhs = this.apply(action, [ ...lhs.data, expression(precedence, false) ]);
+      }
+
+      for(;;) {
+        const item = items[i];
+        if (!(item instanceof Operator)) {
+          break;
+        }
+
+        const { kind, action, precedence, assoc } = item.descriptor;
+        if ((precedence < min) || ((precedence === min) && !inclusive)) {
+          break;
+        }
+
+        ++i;
+        if (kind === "postfix") {
+          lhs = this.apply(action, [ lhs, ...item.data ]);
+        }
+        else {
+          lhs = this.apply(action, [ lhs, ...item.data, expression(precedence, assoc === "right") ]);
+        }
+      }
+
+      return lhs;
+    };
+
+    this.push(expression(-Infinity, true));
   }
 
   /**
@@ -418,9 +1812,36 @@ class Parser {
       tx: this.tx,
       sx: this.sx,
       fx: this.fx,
+      ex: this.errors.length,
+      state: this.state,
     };
   }
 
+  /**
+    Discard the topmost backtrack stack entry, restoring the input position
+    and the stack saved in that entry, then jump to instruction.
+
+    Used to implement the _and_ predicate.
+
+    @param{integer} offset - The position of the next instruction to
+      execute, relative to the current _pc_.
+
+    @kind VM instruction.
+  */
+  backcommit(offset) {
+    const backtrace = this.bp;
+    this.reach = Math.max(this.reach, this.tx+1);
+    this.bp = backtrace.bp;
+    this.tx = backtrace.tx;
+    this.sx = backtrace.sx;
+    this.fx = backtrace.fx;
+    this.state = backtrace.state;
+    if (this.errors.length > backtrace.ex) {
+      this.errors.length = backtrace.ex;
+    }
+    this.pc += offset;
+  }
+
   /**
     Commit a choice. Discard the topmost backtrack stack entry and jump
     to instruction.
@@ -435,6 +1856,138 @@ class Parser {
     this.pc += offset;
   }
 
+  // ----------------------------------------------------------------------
+  // Parse state
+  // ----------------------------------------------------------------------
+
+  /**
+    Open a parse state scope where a flag has the given value.
+
+    The scopes are immutable, and saved in the backtrack entries: on
+    backtracking, the parse state is restored along with the input position.
+
+    @param{object} scope - The name (`name` property) and the value
+      (`value` property) of the flag.
+
+    @see popstate()
+
+    @kind VM instruction.
+  */
+  pushstate(scope) {
+    const { name, value } = scope;
+    const key = JSON.stringify([ name, typeof value, String(value) ]);
+
+    this.state = {
+      name: name,
+      value: value,
+      key: this.state ? this.state.key+key : key,
+      up: this.state,
+    };
+  }
+
+  /**
+    Close the innermost parse state scope.
+
+    @see pushstate()
+
+    @kind VM instruction.
+  */
+  popstate() {
+    this.state = this.state.up;
+  }
+
+  /**
+    Check the value of a flag in the parse state. Fail if it is not
+    strictly equal to the given value.
+
+    @param{object} scope - The name (`name` property) and the expected
+      value (`value` property) of the flag.
+
+    @kind VM instruction.
+  */
+  checkstate(scope) {
+    if (this.flag(scope.name) !== scope.value) {
+      this.fail();
+    }
+  }
+
+  /**
+    Return the value of a flag in the parse state, or undefined if the flag
+    was not set.
+  */
+  flag(name) {
+    for(let state = this.state; state; state = state.up) {
+      if (state.name === name) {
+        return state.value;
+      }
+    }
+  }
+
+  // ----------------------------------------------------------------------
+  // Limits
+  // ----------------------------------------------------------------------
+
+  /**
+    Check the limits of the machine, then schedule the next check.
+
+    Abort the machine if a limit is exceeded.
+
+    @private
+  */
+  guard() {
+    if (this.cc >= this.maxSteps) {
+      return this.abort("maxSteps");
+    }
+    if (this.sx > this.maxStack) {
+      return this.abort("maxStack");
+    }
+
+    if (this.maxBacktrack !== Infinity) {
+      let depth = 0;
+      for(let bp = this.bp; bp && (depth <= this.maxBacktrack); bp = bp.bp) {
+        ++depth;
+      }
+      if (depth > this.maxBacktrack) {
+        return this.abort("maxBacktrack");
+      }
+    }
+
+    if ((this.deadline !== Infinity) && (Date.now() >= this.deadline)) {
+      return this.abort("deadline");
+    }
+
+    const periodic = (this.maxStack !== Infinity) || (this.maxBacktrack !== Infinity) || (this.deadline !== Infinity);
+    this.checkpoint = Math.min(periodic ? this.cc+CHECK_INTERVAL : Infinity, this.maxSteps);
+  }
+
+  /**
+    Stop the machine if the stack is too deep.
+
+    Called by the instructions growing the stack without consuming
+    any input. The stack depth is also checked periodically by
+    {@link guard()}.
+
+    @private
+  */
+  overflow() {
+    if (this.sx > this.maxStack) {
+      this.abort("maxStack");
+    }
+  }
+
+  /**
+    Stop the machine. Signal a limit was exceeded.
+
+    @param{string} limit - The name of the limit.
+
+    @private
+  */
+  abort(limit) {
+    this.running = false;
+    this.status = "aborted";
+    this.limit = limit;
+  }
+
   // ----------------------------------------------------------------------
   // API
   // ----------------------------------------------------------------------
@@ -459,26 +2012,227 @@ class Parser {
   }
 
   /**
-    accept one or more characters. Run the machine as long as we have token to process.
+    Run the machine until it stops, or until it needs more tokens
+    than available.
+
+    Use the compiled function of the current rule, if any.
+    Otherwise, interpret the code one instruction at a time.
+
+    @private
+  */
+  execute() {
+    while(this.running && !this.suspended) {
+      if (this.cc >= this.checkpoint) {
+        this.guard();
+        continue;
+      }
+
+      const fct = this.native && this.grammar.native(this.code);
+      if (fct) {
+        fct(this);
+      }
+      else {
+        this.step();
+      }
+    }
+  }
+
+  /**
+    accept one or more characters. Run the machine until it stops, or until
+    it needs more tokens than available.
+
+    The input may be split in several chunks passed to successive
+    `accept()` calls: an instruction needing a token beyond the end of
+    the buffer suspends the machine until the next call.
+
+    The tokens that can't be examined any more are discarded from
+    the buffer (see {@link compact()}).
+
+    In Unicode mode, the chunks are split into code points.
+
+    For binary input, the chunks are Buffers, Uint8Arrays, or arrays of
+    byte values. For token input, the chunks are arrays of tokens.
   */
   accept(tokens) {
-    this.tokens += tokens;
+    this.compact();
+
+    if (this.unicode) {
+      tokens = this.split(tokens);
+    }
+
+    if (this.input === "text") {
+      const offset = this.base+this.tokens.length;
+      for(let i = tokens.indexOf("\n"); i !== -1; i = tokens.indexOf("\n", i+1)) {
+        this.lines.push(offset+i+1);
+      }
+    }
+    this.append(tokens);
+
+    this.suspended = false;
+    this.execute();
+  }
+
+  /**
+    Append a chunk of input to the buffer.
+
+    @private
+  */
+  append(tokens) {
+    if (tokens.length === 0) {
+      // Also prevents concat() from appending an empty string token
+      return;
+    }
+    else if (this.input !== "binary") {
+      this.tokens = this.tokens.concat(tokens);
+    }
+    else {
+      const buffer = new Uint8Array(this.tokens.length+tokens.length);
+      buffer.set(this.tokens);
+      buffer.set(tokens, this.tokens.length);
+      this.tokens = buffer;
+    }
+  }
 
-    while(this.running && this.tx < this.tokens.length) {
-      this.step();
+  /**
+    Split a chunk of input into code points.
+
+    A high surrogate at the end of the chunk is kept until the
+    next chunk, since it may be the first half of a surrogate pair.
+
+    @private
+  */
+  split(chunk) {
+    chunk = this.surrogate + chunk;
+    this.surrogate = "";
+
+    const last = chunk.charCodeAt(chunk.length-1);
+    if ((last >= 0xD800) && (last <= 0xDBFF)) {
+      this.surrogate = chunk[chunk.length-1];
+      chunk = chunk.slice(0, -1);
     }
+
+    return Array.from(chunk);
   }
 
   /**
-    continue execution until the machine stops.
+    Signal the end of the input, then continue execution until the machine stops.
 
     Call this function when you now there will no more tokens
     to append using the {@link accept()} call.
   */
   run() {
-    while(this.running) {
-      this.step();
+    this.eof = true;
+    if (this.surrogate) {
+      this.tokens = this.tokens.concat(this.surrogate);
+      this.surrogate = "";
+    }
+    this.suspended = false;
+    this.execute();
+  }
+
+  /**
+    Apply an edit to the input, then parse it again from the start,
+    reusing the memoized results of the rules unaffected by the edit.
+
+    The machine must have stopped after the end of the input was signaled
+    (see {@link run()}), with the whole input still in the buffer: when the
+    input is passed in several chunks, create the parser with the
+    `compact: false` option.
+
+    The results of the rules that only examined the input before the edit
+    are reused as is. The results of the rules that only examined the input
+    after the edit are moved by the length difference. In AST mode, their
+    nodes are copied with the new offsets. The results depending on the span
+    of their match (see the `location` and `loc` options of
+    {@link Grammar#define()}) can't be moved: they are evaluated again.
+
+    The result, the status and the error are the same as for a parser
+    receiving the edited input in one go. Only the memoized rules are reused,
+    so the time spent depends on the size of the edit as long as the rules
+    of the grammar are memoized (see the `memo` option of {@link Grammar}).
+
+    @example
+    parser.accept("let x = 1;");
+    parser.run();
+    parser.reparse(8, 1, "42"); // let x = 42;
+
+    @param{number} offset - The position of the edit.
+    @param{number} length - The number of tokens removed from the input.
+    @param{string|Array|Uint8Array} [tokens] - The tokens inserted at the
+      position of the edit, in the format accepted by {@link accept()}.
+  */
+  reparse(offset, length, tokens = (this.input === "text") ? "" : []) {
+    if (this.running || !this.eof) {
+      throw new TypeError("The parser can only reparse a complete input once stopped");
+    }
+    if (this.base > 0) {
+      throw new TypeError("The start of the input was discarded: use the compact: false option to reparse it");
     }
+    const size = this.tokens.length;
+    if (!(offset >= 0 && length >= 0 && offset+length <= size)) {
+      throw new TypeError(`Invalid edit: ${length} tokens at offset ${offset} in an input of ${size} tokens`);
+    }
+
+    if (this.unicode) {
+      tokens = Array.from(tokens);
+    }
+    const end = offset+length;
+    if (this.input !== "binary") {
+      this.tokens = this.tokens.slice(0, offset).concat(tokens, this.tokens.slice(end));
+    }
+    else {
+      const buffer = new Uint8Array(size-length+tokens.length);
+      buffer.set(this.tokens.subarray(0, offset));
+      buffer.set(tokens, offset);
+      buffer.set(this.tokens.subarray(end), offset+tokens.length);
+      this.tokens = buffer;
+    }
+
+    if (this.input === "text") {
+      this.lines = [ 0 ];
+      this.lineBase = 0;
+      for(let i = this.tokens.indexOf("\n"); i !== -1; i = this.tokens.indexOf("\n", i+1)) {
+        this.lines.push(i+1);
+      }
+    }
+
+    // Keep the results of the calls that didn't examine the edited tokens
+    const delta = tokens.length-length;
+    const behind = this.grammar.lookbehind();
+    const memo = new Map();
+    for(let entry of this.memo.values()) {
+      if (entry.pending || entry.errors.length) {
+        continue;
+      }
+      else if (entry.reach <= offset) {
+        memo.set(entry.key, entry);
+      }
+      else if ((entry.start-behind >= end) && !entry.located) {
+        const start = entry.start+delta;
+        const key = memoKey(entry.rule, start, entry.state);
+        memo.set(key, {
+          ...entry,
+          key: key,
+          start: start,
+          end: entry.end+delta,
+          reach: entry.reach+delta,
+          farthest: entry.farthest+delta,
+          value: this.ast ? shift(entry.value, delta) : entry.value,
+        });
+      }
+    }
+    this.memo = memo;
+
+    this.status = "";
+    this.limit = undefined;
+    this.cc = 0;
+    this.checkpoint = 0;
+    this.reach = 0;
+    this.located = false;
+    this.suspended = false;
+    this.tx = 0;
+    this.restart();
+    this.execute();
   }
 
   /**
@@ -492,17 +2246,31 @@ class Parser {
       "end", undefined
     ];
     this.pc = 0;
+    this.origin = this.tx;
 
     /* clear the stack */
     this.stack = [];
     this.sx = 0;
+    this.fx = 0;
 
     /* clear the backtrack stack */
     this.bp = null;
+    this.protected = null;
+
+    /* clear the parse state */
+    this.state = null;
+
+    /* clear the error informations */
+    this.farthest = this.tx;
+    this.expected = [];
+    this.silent = 0;
+    this.errors = [];
 
     this.running = true;
 
-    return (this.tx < this.tokens.length);
+    this.compact();
+
+    return (this.tx < this.base+this.tokens.length);
   }
 
   /**
@@ -517,6 +2285,10 @@ class Parser {
   /**
     Return the top-most object on the stack if the machine has stopped.
     Return undefined otherwise
+
+    The result may be partial if the parser has recovered from errors.
+    In that case, the `errors` property of the parser lists the recovered
+    errors, using the same format as {@link error()}.
   */
   result() {
     if (!this.running && (this.status == "success")) {
@@ -524,22 +2296,147 @@ class Parser {
     }
   }
 
+  /**
+    Return a description of the parse error if the machine has stopped
+    on a failure, or was aborted. Return undefined otherwise.
+
+    The error is reported at the farthest position reached by the parser.
+    The description is an object with the following properties:
+
+    * `offset`, `line` and `column`: the position of the error. Line and column
+      numbers are one-based. The messages use the offset for binary
+      and token input;
+    * `expected`: an array of `{ type, value }` objects describing what was expected
+      at that position. `type` is one of "literal", "charset", "byte", "integer",
+      "any", "token" or "predicate";
+    * `found`: the token found at that position, or undefined at the end of the input;
+    * `message`: a human-readable error message.
+
+    If the machine was aborted, the error is reported at the current position,
+    the `expected` array is empty, and the `limit` property is the name
+    of the limit exceeded ("maxSteps", "maxStack", "maxBacktrack" or "deadline").
+
+    @example
+    parser.error().message
+    // line 3, col 14: expected "," or digit, found "x"
+  */
+  error() {
+    if (this.running) {
+      return;
+    }
+    else if (this.status === "aborted") {
+      const { offset, line, column } = this.position(this.tx);
+      const found = this.tokens[this.tx-this.base];
+      const message = `${this.where(offset)}: ${LIMITS[this.limit]} exceeded`;
+
+      return { offset, line, column, expected: [], found, limit: this.limit, message };
+    }
+    else if (this.status === "failure") {
+      return this.report();
+    }
+  }
+
+  /**
+    Describe the error at the farthest failure position.
+
+    @see error()
+
+    @private
+  */
+  report() {
+    const { offset, line, column } = this.position(this.farthest);
+    const found = this.tokens[this.farthest-this.base];
+
+    const expected = [];
+    const descriptions = [];
+    for(let expectation of this.expected) {
+      const description = describe(expectation);
+      if (!descriptions.includes(description)) {
+        descriptions.push(description);
+        expected.push(expectation);
+      }
+    }
+
+    let message = `${this.where(offset)}: `;
+    if (descriptions.length) {
+      const last = descriptions.pop();
+      message += "expected " + (descriptions.length ? `${descriptions.join(", ")} or ${last}` : last) + ", ";
+    }
+    message += "found " + describeToken(this.input, found);
+
+    return { offset, line, column, expected, found, message };
+  }
+
+  /**
+    Return the position of an offset, as displayed in the error messages.
+
+    @private
+  */
+  where(offset) {
+    if (this.input !== "text") {
+      return `offset ${offset}`;
+    }
+
+    const { line, column } = this.position(offset);
+    return `line ${line}, col ${column}`;
+  }
+
   /**
     Return a generator for all the tokens parts matching the
     parser's grammar, possibly skipping an arbitrary number
     of input tokens betwenn matches.
+
+    @param{object} [options] - The matching options.
+    @param{number|boolean} [options.skip=1] - The number of tokens to skip
+      after a failed match before trying again, or false to stop
+      at the first failure. In that case, use {@link error()} to know
+      why the match failed.
   */
-  *matchAll() {
+  *matchAll(options) {
+    this.eof = true;
+    return yield* this.matches(options);
+  }
+
+  /**
+    Check if the last match was attempted at the end of the input.
+
+    @private
+  */
+  exhausted() {
+    return this.eof && (this.origin >= this.base+this.tokens.length);
+  }
+
+  /**
+    Return a generator for the matches found in the tokens accepted so far.
+
+    The generator returns when the machine needs more tokens than available,
+    or when the end of the input is reached. See {@link matchAll()}
+    for the options.
+
+    @private
+  */
+  *matches(options = {}) {
+    const skip = options.skip ?? 1;
+
     while(true) {
-      if(this.running) { // run the parser until completion
-        this.run();
+      if (this.running) { // run the parser until completion, or starvation
+        if (this.eof) {
+          this.run();
+        }
+        else {
+          this.accept("");
+        }
       }
+      if (this.running) {
+        return true; // waiting for more tokens
+      }
+
       if (this.status === "success") {
         yield this.stack[0];
         this.restart();
       }
-      else if (this.tx < this.tokens.length) {
-        this.tx += 1;
+      else if ((skip !== false) && (this.status === "failure") && !this.exhausted()) {
+        this.tx = this.origin+skip;
         this.restart();
       }
       else {
@@ -551,4 +2448,5 @@ class Parser {
 
 module.exports = {
   Parser,
+  describe,
 };
@@ -18,5 +18,9 @@
 module.exports = {
   ...require("./grammar"),
   ...require("./func"),
+  ...require("./notation"),
   ...require("./parser"),
+  ...require("./ast"),
+  ...require("./stream"),
+  ...require("./generator"),
 };
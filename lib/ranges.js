@@ -0,0 +1,435 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  The sets of characters matched by the charset instructions.
+
+  The charsets of the Basic Multilingual Plane are stored as holey arrays
+  indexed by character code, which are the fastest to test. The other
+  charsets, like the Unicode property classes, are stored as tables of
+  code point ranges, tested by binary search.
+
+  The functions of this module accept both representations.
+
+  @module ranges
+*/
+
+/**
+  The first code point outside of the Basic Multilingual Plane.
+
+  @private
+*/
+const ASTRAL = 0x10000;
+
+/**
+  The last Unicode code point.
+
+  @private
+*/
+const MAX_CODE_POINT = 0x10FFFF;
+
+/**
+  A table of code point ranges.
+
+  @param{Array} table - The bounds of the ranges, sorted, as a flat array
+    `[ first0, last0, first1, last1, ... ]`. The bounds are inclusive.
+  @param{string} [name] - The name of the charset, used in the error messages.
+*/
+class Ranges {
+  constructor(table, name) {
+    this.table = table;
+    this.name = name;
+  }
+
+  /**
+    Check if a code point belongs to the ranges.
+  */
+  has(code) {
+    const table = this.table;
+    let lo = 0;
+    let hi = table.length/2;
+    while(lo < hi) {
+      const mid = (lo+hi) >>> 1;
+      if (code < table[2*mid]) {
+        hi = mid;
+      }
+      else if (code <= table[2*mid+1]) {
+        return true;
+      }
+      else {
+        lo = mid+1;
+      }
+    }
+
+    return false;
+  }
+}
+
+/**
+  Check if a character code belongs to a charset.
+
+  @param{Array|Ranges} set - The charset.
+  @param{number} code - The character code or code point.
+*/
+function contains(set, code) {
+  return (set instanceof Ranges) ? set.has(code) : (code in set);
+}
+
+/**
+  Return the ranges of a charset as an array of `[ first, last ]` pairs,
+  sorted by code point.
+
+  @param{Array|Ranges} set - The charset.
+*/
+function toRanges(set) {
+  const result = [];
+  if (set instanceof Ranges) {
+    for(let i = 0; i < set.table.length; i += 2) {
+      result.push([ set.table[i], set.table[i+1] ]);
+    }
+  }
+  else {
+    set.forEach((value, code) => {
+      const last = result[result.length-1];
+      if (last && (last[1] === code-1)) {
+        last[1] = code;
+      }
+      else {
+        result.push([ code, code ]);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+  Build a charset from an array of `[ first, last ]` pairs. The pairs
+  may overlap, and don't have to be sorted.
+
+  @param{Array} pairs - The ranges.
+  @param{string} [name] - The name of the charset. Named charsets
+    are always stored as range tables.
+*/
+function fromRanges(pairs, name) {
+  const sorted = pairs.slice().sort((a, b) => a[0]-b[0]);
+  const merged = [];
+  for(let [ first, last ] of sorted) {
+    const top = merged[merged.length-1];
+    if (top && (first <= top[1]+1)) {
+      top[1] = Math.max(top[1], last);
+    }
+    else {
+      merged.push([ first, last ]);
+    }
+  }
+
+  const end = merged.length ? merged[merged.length-1][1] : -1;
+  if ((name === undefined) && (end < ASTRAL)) {
+    const set = []; // Use holey array which seems to be an order of magnitude fatest than sets.
+    for(let [ first, last ] of merged) {
+      for(let code = first; code <= last; ++code) {
+        set[code] = 1;
+      }
+    }
+
+    return set;
+  }
+
+  return new Ranges(merged.flat(), name);
+}
+
+/**
+  Return the union of several charsets.
+*/
+function union(...sets) {
+  return fromRanges(sets.flatMap(toRanges));
+}
+
+/**
+  Return the code points of a charset that are not in another one.
+*/
+function difference(set, other) {
+  const result = [];
+  const excluded = toRanges(other);
+  for(let [ first, last ] of toRanges(set)) {
+    for(let [ lo, hi ] of excluded) {
+      if ((hi < first) || (lo > last)) {
+        continue;
+      }
+      if (lo > first) {
+        result.push([ first, lo-1 ]);
+      }
+      first = hi+1;
+    }
+    if (first <= last) {
+      result.push([ first, last ]);
+    }
+  }
+
+  return fromRanges(result);
+}
+
+/**
+  Check if all the code points of a charset belong to another one.
+*/
+function isSubset(subset, set) {
+  const ranges = toRanges(set);
+
+  return toRanges(subset).every(([ first, last ]) => ranges.some(([ lo, hi ]) => (lo <= first) && (last <= hi)));
+}
+
+/**
+  Return the ranges of the code points matched by a regular expression.
+
+  The regular expression has the `gu` flags, and matches runs of code
+  points. It is run over a string made of all the code points but the
+  surrogates, which are tested one by one.
+
+  @param{RegExp} regexp - The regular expression.
+  @param{RegExp} single - The same test, for one code point.
+  @return{Array} The [first, last] ranges of the code points.
+
+  @private
+*/
+function scan(regexp, single) {
+  const units = new Uint16Array(MAX_CODE_POINT+1);
+  let length = 0;
+  for(let code = 0; code < 0xD800; ++code) {
+    units[length++] = code;
+  }
+  for(let code = 0xE000; code < ASTRAL; ++code) {
+    units[length++] = code;
+  }
+  for(let code = ASTRAL; code <= MAX_CODE_POINT; ++code) {
+    units[length++] = 0xD800 + ((code-ASTRAL) >> 10);
+    units[length++] = 0xDC00 + ((code-ASTRAL) & 0x3FF);
+  }
+  const str = new TextDecoder("utf-16le").decode(units.subarray(0, length));
+
+  // The code point at an index of the string
+  const at = (index) => (index < 0xD800) ? index : (index < 0xF800) ? index+0x800 : ASTRAL+((index-0xF800) >> 1);
+
+  const pairs = [];
+  for(let code = 0xD800; code < 0xE000; ++code) {
+    if (single.test(String.fromCharCode(code))) {
+      pairs.push([ code, code ]);
+    }
+  }
+  for(let match of str.matchAll(regexp)) {
+    pairs.push([ at(match.index), at(match.index+match[0].length-1) ]);
+  }
+
+  return pairs.sort((a, b) => a[0]-b[0]);
+}
+
+/**
+  The Unicode property classes built so far, keyed by name.
+
+  @private
+*/
+const properties = new Map();
+
+/**
+  Return the charset of a Unicode property, as matched by `\p{name}`
+  in regular expressions. For example, "L" (letters), "Nd" (decimal digits),
+  "Script=Greek" or "Emoji".
+
+  @param{string} name - The property.
+*/
+function property(name) {
+  let set = properties.get(name);
+  if (set) {
+    return set;
+  }
+
+  let regexp;
+  try {
+    regexp = new RegExp(`^\\p{${name}}$`, "u");
+  }
+  catch(err) {
+    throw new TypeError(`Unknown Unicode property: ${name}`);
+  }
+
+  set = fromRanges(scan(new RegExp(`\\p{${name}}+`, "gu"), regexp), `\\p{${name}}`);
+  properties.set(name, set);
+
+  return set;
+}
+
+/**
+  The code points having an upper or lower case variant. Built on first use.
+
+  @private
+*/
+let cased = null;
+
+/**
+  Return the code points having an upper or lower case variant.
+
+  @private
+*/
+function casedCodePoints() {
+  if (!cased) {
+    const regexp = /[\p{Changes_When_Casemapped}\p{Changes_When_Casefolded}]+/gu;
+    cased = [];
+    for(let [ first, last ] of scan(regexp, /^$/)) {
+      for(let code = first; code <= last; ++code) {
+        cased.push(code);
+      }
+    }
+  }
+
+  return cased;
+}
+
+/**
+  Return a charset containing the code points of a charset,
+  and all their case variants.
+
+  Two code points are case variants if they have the same simple case
+  folding, as in regular expressions using the `iu` flags. For example,
+  "k", "K" and the Kelvin sign "\u212A".
+
+  @param{Array|Ranges} set - The charset.
+*/
+function ignoreCase(set) {
+  const pairs = toRanges(set);
+  const source = pairs.map(([ first, last ]) => `\\u{${first.toString(16)}}-\\u{${last.toString(16)}}`).join("");
+  const regexp = new RegExp(`^[${source}]$`, "iu");
+
+  for(let code of casedCodePoints()) {
+    if (regexp.test(String.fromCodePoint(code))) {
+      pairs.push([ code, code ]);
+    }
+  }
+
+  return fromRanges(pairs);
+}
+
+/**
+  The case variants found so far, keyed by character.
+
+  @private
+*/
+const variants = new Map();
+
+/**
+  Return the case variants of a character (see {@link ignoreCase()}),
+  starting with the character itself.
+
+  @param{string} c - The character.
+*/
+function caseVariants(c) {
+  let result = variants.get(c);
+  if (result) {
+    return result;
+  }
+
+  result = [ c ];
+  const code = c.codePointAt(0);
+  for(let [ first, last ] of toRanges(ignoreCase(fromRanges([ [ code, code ] ])))) {
+    for(let variant = first; variant <= last; ++variant) {
+      if (variant !== code) {
+        result.push(String.fromCodePoint(variant));
+      }
+    }
+  }
+  variants.set(c, result);
+
+  return result;
+}
+
+/**
+  The characters whose full case folding is made of several code points,
+  like "ß" folded to "ss", mapped to their folding. Built on first use.
+
+  @private
+*/
+let expanding = null;
+
+/**
+  Return the characters whose full case folding is made of several
+  code points, mapped to their folding.
+
+  The folding is derived from the full case mappings of JavaScript:
+  the lower case of the upper case, until it doesn't change.
+
+  @private
+*/
+function expansions() {
+  if (!expanding) {
+    expanding = new Map();
+    for(let code of casedCodePoints()) {
+      let folded = String.fromCodePoint(code);
+      for(let previous; folded !== previous;) {
+        previous = folded;
+        folded = folded.toUpperCase().toLowerCase();
+      }
+      if ([ ...folded ].length > 1) {
+        expanding.set(String.fromCodePoint(code), folded);
+      }
+    }
+  }
+
+  return expanding;
+}
+
+/**
+  Return the case variants of each character of a string, using the full
+  case folding: the characters of the string folded to several code points
+  are replaced by their folding, and a character of the input whose folding
+  matches several characters of the string is one of the variants of the
+  first of them.
+
+  For example, the variants of "straße" are those of "strasse", and the
+  variants of the first "s" include ["ß", 2] and ["ẞ", 2].
+
+  @param{string} str - The string.
+  @return{Array} For each character of the folded string, its variants
+    (see {@link caseVariants()}), followed by the [character, length] pairs
+    of the characters whose folding starts there.
+*/
+function foldedVariants(str) {
+  const chars = [ ...str ].flatMap((c) => [ ...(expansions().get(c) ?? c) ]);
+  const result = chars.map((c) => [ ...caseVariants(c) ]);
+
+  for(let [ c, folded ] of expansions()) {
+    const codes = [ ...folded ];
+    for(let i = 0; i+codes.length <= chars.length; ++i) {
+      if (codes.every((code, k) => result[i+k].includes(code))) {
+        result[i].push([ c, codes.length ]);
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  Ranges,
+  contains,
+  toRanges,
+  fromRanges,
+  union,
+  difference,
+  isSubset,
+  property,
+  ignoreCase,
+  caseVariants,
+  foldedVariants,
+};
@@ -0,0 +1,197 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+/**
+  Node.js streams support.
+
+  @module stream
+*/
+
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+
+/**
+  Convert a chunk of input to the kind of input expected by a parser.
+
+  For text input, the buffers are decoded. For binary input, the strings
+  are encoded as UTF-8. For token input, a chunk is either an array
+  of tokens or a single token.
+
+  @private
+*/
+function decode(parser, decoder, chunk) {
+  switch(parser.input) {
+  case "binary":
+    return (typeof chunk === "string") ? Buffer.from(chunk) : chunk;
+  case "tokens":
+    return Array.isArray(chunk) ? chunk : [ chunk ];
+  default:
+    return (typeof chunk === "string") ? chunk : decoder.write(chunk);
+  }
+}
+
+/**
+  Feed a chunk of input to a parser and collect the matches.
+
+  If the parser stopped on a failure, the result has an `error` property
+  holding a SyntaxError describing the failure. If the parser was aborted,
+  the `error` property holds a RangeError naming the limit exceeded.
+
+  @param{Parser} parser - The parser.
+  @param{StringDecoder} decoder - The decoder for the binary chunks.
+  @param{string|Buffer|Array|null} chunk - The chunk of input, or null
+    at the end of the input.
+  @param{object} options - The matching options.
+  @return{object} An object whose `matches` property is the array of the
+    matches found.
+
+  @private
+*/
+function feed(parser, decoder, chunk, options) {
+  if (chunk === null) {
+    if (parser.input === "text") {
+      parser.accept(decoder.end());
+    }
+    parser.run();
+  }
+  else {
+    parser.accept(decode(parser, decoder, chunk));
+  }
+
+  const matches = [ ...parser.matches(options) ];
+  if (!parser.running && (parser.status === "aborted")) {
+    const error = parser.error();
+    return { matches, error: Object.assign(new RangeError(error.message), error) };
+  }
+  else if (!parser.running && (parser.status === "failure") && !parser.exhausted()) {
+    const error = parser.error();
+    return { matches, error: Object.assign(new SyntaxError(error.message), error) };
+  }
+
+  return { matches };
+}
+
+/**
+  An object-mode Transform stream emitting all the matches found
+  in its input.
+
+  The writable side accepts strings and buffers. Buffers are decoded
+  using the `encoding` option. The readable side emits the results
+  of the successful matches. Since `null` marks the end of an object-mode
+  stream, a match whose value is `null` emits a TypeError instead.
+
+  For binary input, the buffers are passed to the parser as is.
+  For token input, the writable side is in object mode, and accepts
+  tokens or arrays of tokens.
+
+  @param{Grammar} grammar - The grammar.
+  @param{string} start - The rule to match.
+  @param{object} [options] - The stream options.
+  @param{number|boolean} [options.skip=1] - The number of tokens to skip
+    after a failed match, or false to stop at the first failure.
+    In that case, the stream emits a SyntaxError describing the failure.
+  @param{string} [options.encoding="utf8"] - The encoding of the buffers.
+  @param{} [options.context] - An object bound to `this` when the parser
+    calls user supplied functions.
+
+  The options also accept the limits of the parser (see {@link Parser}).
+*/
+class ParserStream extends Transform {
+  constructor(grammar, start, options = {}) {
+    super({
+      decodeStrings: false,
+      readableObjectMode: true,
+      writableObjectMode: (grammar.options.input === "tokens"),
+    });
+
+    this.parser = grammar.parser(start, options.context, options);
+    this.decoder = new StringDecoder(options.encoding ?? "utf8");
+    this.options = options;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.process(chunk, callback);
+  }
+
+  _flush(callback) {
+    this.process(null, callback);
+  }
+
+  /**
+    Feed a chunk to the parser and push the matches.
+
+    @private
+  */
+  process(chunk, callback) {
+    let result;
+    try {
+      result = feed(this.parser, this.decoder, chunk, this.options);
+    }
+    catch(err) {
+      return callback(err);
+    }
+
+    for(let match of result.matches) {
+      if (match === null) {
+        // null would end the object-mode stream
+        return callback(new TypeError("Can't emit a null match: the action of the start rule returned null"));
+      }
+      this.push(match);
+    }
+    callback(result.error);
+  }
+}
+
+/**
+  Return an async generator for all the matches found in an
+  asynchronous source of input.
+
+  The source is any async iterable producing strings or buffers,
+  typically a Readable stream, or tokens for token input. See {@link ParserStream} for the options.
+
+  @example
+  for await (const record of matchStream(fs.createReadStream(path), grammar, "record")) {
+    console.log(record);
+  }
+
+  @param{AsyncIterable} source - The input.
+  @param{Grammar} grammar - The grammar.
+  @param{string} start - The rule to match.
+  @param{object} [options] - The matching options.
+*/
+async function* matchStream(source, grammar, start, options = {}) {
+  const parser = grammar.parser(start, options.context, options);
+  const decoder = new StringDecoder(options.encoding ?? "utf8");
+
+  const chunks = async function*() {
+    yield* source;
+    yield null;
+  };
+
+  for await (const chunk of chunks()) {
+    const { matches, error } = feed(parser, decoder, chunk, options);
+    yield* matches;
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  ParserStream,
+  matchStream,
+};
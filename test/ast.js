@@ -0,0 +1,182 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const g = require("../lib/grammar.js");
+const { Node, walk, print } = require("../lib/ast.js");
+const { run } = require("./helpers.js");
+
+/**
+  Return the tree as nested `[ type, text, ...children ]` arrays.
+*/
+function shape(node) {
+  return [ node.type, node.text, ...node.children.map(shape) ];
+}
+
+describe("ast", function() {
+
+  describe("AST mode", function() {
+    const grammar = new g.Grammar();
+    grammar.define("list", [ "(", g.zeroOrMore(g.rule("item"), g.zeroOrOne(",")), ")" ], () => assert.fail("action called"));
+    grammar.define("item", g.choice(g.rule("list"), g.rule("number"), g.rule("comment")), undefined, { ast: "inline" });
+    grammar.define("number", g.oneOrMore(g.rule("digit")), undefined, { ast: "flatten" });
+    grammar.define("digit", g.charset("0-9"));
+    grammar.define("comment", [ "#", g.zeroOrMore(g.charset("a-z")) ], undefined, { ast: "omit" });
+
+    it("should build a tree of nodes instead of calling the actions", function() {
+      const parser = run(grammar.parser("list", undefined, { ast: true }), "(1,(2))");
+
+      assert.equal(parser.status, "success");
+      const tree = parser.result();
+      assert.instanceOf(tree, Node);
+      assert.deepEqual(tree.children[1], new Node("list", [ new Node("number", [], "2", 4, 5) ], "(2)", 3, 6));
+    });
+
+    it("should inline, flatten and omit the nodes as requested", function() {
+      const parser = run(grammar.parser("list", undefined, { ast: true }), "(12,#abc,(3))");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(shape(parser.result()), [ "list", "(12,#abc,(3))",
+        [ "number", "12" ],
+        [ "list", "(3)", [ "number", "3" ] ],
+      ]);
+    });
+
+    it("should collect the nodes from the nested captures", function() {
+      const grammar = new g.Grammar();
+      grammar.define("pair", [ g.label("key", g.rule("name")), "=", g.capture(g.rule("name"), g.rule("name")) ], undefined, { named: true });
+      grammar.define("name", g.charset("a-z"));
+
+      const parser = run(grammar.parser("pair", undefined, { ast: true }), "a=bc");
+      assert.deepEqual(shape(parser.result()), [ "pair", "a=bc", [ "name", "a" ], [ "name", "b" ], [ "name", "c" ] ]);
+    });
+
+    it("should report positions in code points in Unicode mode", function() {
+      const grammar = new g.Grammar({ unicode: true });
+      grammar.define("S", [ g.any(), g.rule("emoji") ]);
+      grammar.define("emoji", g.any());
+
+      const parser = run(grammar.parser("S", undefined, { ast: true }), "é😀");
+      assert.deepEqual(parser.result().children, [ new Node("emoji", [], "😀", 1, 2) ]);
+    });
+
+    it("should support left recursion", function() {
+      const grammar = new g.Grammar();
+      grammar.define("sum", g.choice([ g.rule("sum"), "+", g.rule("n") ], g.rule("n")));
+      grammar.define("n", g.charset("0-9"));
+
+      const parser = run(grammar.parser("sum", undefined, { ast: true }), "1+2+3");
+      assert.deepEqual(shape(parser.result()), [ "sum", "1+2+3",
+        [ "sum", "1+2", [ "sum", "1", [ "n", "1" ] ], [ "n", "2" ] ],
+        [ "n", "3" ],
+      ]);
+    });
+
+    it("should reject invalid modes", function() {
+      assert.throws(() => new g.Grammar().define("S", "a", undefined, { ast: "hide" }), TypeError);
+    });
+
+  });
+
+  describe("CST mode", function() {
+    const grammar = new g.Grammar({ skip: "space" });
+    grammar.define("space", g.zeroOrMore(g.choice(g.charset(" \n"), [ "#", g.zeroOrMore(g.anyExcept("\n")) ])));
+    grammar.define("List", [ "(", g.zeroOrMore(g.rule("Item"), g.zeroOrOne(",")), ")" ]);
+    grammar.define("Item", g.choice(g.rule("List"), g.rule("name"), g.rule("Number")), undefined, { ast: "inline" });
+    grammar.define("Number", [ g.consume("0x"), g.oneOrMore(g.charset("0-9")) ], undefined, { ast: "omit" });
+    grammar.define("name", g.oneOrMore(g.charset("a-z")), undefined, { ast: "flatten" });
+
+    const input = " ( foo , # comment\n (bar,0x12) )";
+
+    it("should keep the input between the nodes", function() {
+      const parser = run(grammar.parser("List", undefined, { cst: true }), input);
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(shape(parser.result()), [ "List", input,
+        [ null, " ( " ],
+        [ "name", "foo" ],
+        [ null, " , # comment\n " ],
+        [ "List", "(bar,0x12)", [ null, "(" ], [ "name", "bar" ], [ null, "," ], [ null, "0x12" ], [ null, ")" ] ],
+        [ null, " )" ],
+      ]);
+    });
+
+    it("should print the input back", function() {
+      const parser = run(grammar.parser("List", undefined, { cst: true }), input);
+
+      assert.equal(print(parser.result()), input);
+    });
+
+    it("should keep the input of the rules without nodes", function() {
+      for(let mode of [ "inline", "omit" ]) {
+        const words = new g.Grammar();
+        words.define("word", g.oneOrMore(g.charset("a-z")), undefined, { ast: mode });
+
+        const parser = run(words.parser("word", undefined, { cst: true }), "abc");
+
+        assert.deepEqual(parser.result().map(shape), [ [ null, "abc" ] ]);
+        assert.equal(print(parser.result()), "abc");
+      }
+    });
+
+    it("should print the edited leaves", function() {
+      const parser = run(grammar.parser("List", undefined, { cst: true }), input);
+      const tree = parser.result();
+      walk(tree, (node) => {
+        if (node.type === "name") {
+          node.text = node.text.toUpperCase();
+        }
+      });
+
+      assert.equal(print(tree), " ( FOO , # comment\n (BAR,0x12) )");
+    });
+
+  });
+
+  describe("walk", function() {
+    const tree = new Node("a", [
+      new Node("b", [ new Node("c", [], "c", 0, 1) ], "c", 0, 1),
+      new Node("d", [], "d", 1, 2),
+    ], "cd", 0, 2);
+
+    it("should call a visitor function in depth-first order", function() {
+      const visited = [];
+      walk(tree, (node, parent) => { visited.push([ node.type, parent?.type ]); });
+
+      assert.deepEqual(visited, [ [ "a", undefined ], [ "b", "a" ], [ "c", "b" ], [ "d", "a" ] ]);
+    });
+
+    it("should call the enter and leave methods", function() {
+      const visited = [];
+      walk(tree, {
+        enter: (node) => { visited.push(`+${node.type}`); },
+        leave: (node) => { visited.push(`-${node.type}`); },
+      });
+
+      assert.deepEqual(visited, [ "+a", "+b", "+c", "-c", "-b", "+d", "-d", "-a" ]);
+    });
+
+    it("should skip the children if the visitor returns false", function() {
+      const visited = [];
+      walk([ tree ], (node) => { visited.push(node.type); return node.type !== "b"; });
+
+      assert.deepEqual(visited, [ "a", "b", "d" ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,245 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const g = require("../lib/grammar.js");
+const f = require("../lib/func.js");
+const { run, variants } = require("./helpers.js");
+
+describe("compiler", function() {
+
+  it("should compile the rules", function() {
+    const grammar = new g.Grammar({ compile: true });
+    grammar.define("S", "a");
+
+    assert.isFunction(grammar.native(grammar.get("S")));
+  });
+
+  it("should not compile the rules by default", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", "a");
+
+    assert.isUndefined(grammar.native(grammar.get("S")));
+  });
+
+  it("should interpret the code in debug mode", function() {
+    const grammar = new g.Grammar({ compile: true });
+    grammar.define("S", "a");
+
+    const saved = process.env["PEG_DEBUG"];
+    try {
+      process.env["PEG_DEBUG"] = "1";
+      assert.isFalse(grammar.parser("S").native);
+    }
+    finally {
+      if (saved === undefined) {
+        delete process.env["PEG_DEBUG"];
+      }
+      else {
+        process.env["PEG_DEBUG"] = saved;
+      }
+    }
+    assert.isTrue(grammar.parser("S").native);
+  });
+
+  it("should produce the same results as the interpreter", function() {
+    const grammars = variants((grammar) => {
+      grammar.define("S", [ g.rule("sum"), g.not(g.any()) ], (sum) => sum);
+      grammar.define("sum",
+        [ g.rule("product"), g.zeroOrOne([ "+", g.rule("sum") ]) ],
+        (prod, op, sum) => (op) ? prod+sum : prod
+      );
+      grammar.define("product",
+        [ g.rule("term"), g.zeroOrOne([ "*", g.rule("product") ]) ],
+        (term, op, prod) => (op) ? term*prod : term
+      );
+      grammar.define("term",
+        g.choice(
+          [ g.consume("("), g.rule("sum"), g.consume(")") ],
+          g.join(g.oneOrMore(g.charset("0-9"))),
+        ),
+        (value) => (typeof value === "string") ? parseInt(value) : value
+      );
+    }, {}, { compile: true });
+
+    for(let input of [ "1+23+4*15", "(1+2)*3", "2*(3+4)*5", "1+", "(1" ]) {
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S"), input));
+
+      assert.equal(actual.status, expected.status, input);
+      assert.deepEqual(actual.result(), expected.result(), input);
+      assert.deepEqual(actual.error(), expected.error(), input);
+      assert.equal(actual.cc, expected.cc, input);
+    }
+  });
+
+  it("should backtrack in the large rules", function() {
+    const KEYWORDS = [ "break", "case", "catch", "continue", "default", "do", "else", "for", "function", "if", "return", "switch", "throw", "try", "while" ];
+    const grammars = variants((grammar) => {
+      grammar.define("S", g.oneOrMore(g.choice(g.rule("keyword"), g.rule("name")), g.zeroOrMore(" ")));
+      grammar.define("keyword", [ g.choice(...KEYWORDS), g.not(g.charset("a-z")), g.and(g.any()) ], (keyword) => keyword);
+      grammar.define("name", g.join(g.oneOrMore(g.charset("a-z"))), (name) => ({ name }));
+    }, {}, { compile: true });
+
+    for(let input of [ "while if x return switch foo case default bar ", "do done try", "while 1" ]) {
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S"), input));
+
+      assert.equal(actual.status, expected.status, input);
+      assert.deepEqual(actual.result(), expected.result(), input);
+      assert.deepEqual(actual.error(), expected.error(), input);
+      assert.equal(actual.cc, expected.cc, input);
+    }
+  });
+
+  it("should support left recursion", function() {
+    const grammar = new g.Grammar({ compile: true });
+    grammar.define("sum",
+      g.choice([ g.rule("sum"), "-", g.rule("digit") ], g.rule("digit")),
+      (a, op, b) => (op) ? a-b : a
+    );
+    grammar.define("digit", g.charset("0-9"), (d) => parseInt(d));
+
+    const parser = run(grammar.parser("sum"), "9-3-2");
+    assert.equal(parser.result(), 4);
+  });
+
+  it("should suspend at the end of the buffer", function() {
+    const grammar = new g.Grammar({ compile: true });
+    grammar.define("S", g.choice("abc", "abd"), f.JOIN);
+
+    const parser = grammar.parser("S");
+    parser.accept("a");
+    parser.accept("b");
+    assert.isTrue(parser.running);
+
+    parser.accept("d");
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), "abd");
+  });
+
+  it("should match large charsets", function() {
+    const [ expected, actual ] = variants((grammar) => {
+      grammar.define("S", g.oneOrMore(g.charset("a", "c", "e", "g", "i", "k-m", "é")), f.JOIN);
+    }, {}, { compile: true });
+
+    for(let input of [ "acegiklmé", "acb", "b" ]) {
+      assert.deepEqual(run(actual.parser("S"), input).result(), run(expected.parser("S"), input).result());
+    }
+  });
+
+  it("should match code points in Unicode mode", function() {
+    const [ expected, actual ] = variants((grammar) => {
+      grammar.define("S", g.oneOrMore(g.choice(g.property("L"), g.charset("😀-🙏"), "é", g.any())), f.JOIN);
+    }, { unicode: true }, { unicode: true, compile: true });
+
+    for(let input of [ "a😀é𝒜🙏1" ]) {
+      const result = run(expected.parser("S"), input);
+      assert.equal(result.tx, 6);
+      assert.deepEqual(run(actual.parser("S"), input).result(), result.result());
+    }
+  });
+
+  it("should ignore case", function() {
+    for(let unicode of [ false, true ]) {
+      const [ expected, actual ] = variants((grammar) => {
+        grammar.define("S", g.oneOrMore(g.choice(g.litteral("ab", { ignoreCase: true }), g.ichar("k"), g.ichar("\u{10400}"), g.any())));
+      }, { unicode }, { unicode, compile: true });
+
+      for(let input of [ "aBKk\u212A\u{10428}x" ]) {
+        const result = run(expected.parser("S"), input);
+        assert.deepEqual(run(actual.parser("S"), input).result(), result.result());
+      }
+    }
+  });
+
+  it("should match binary and token input", function() {
+    const [ bin, binc ] = variants((grammar) => {
+      grammar.define("S", [ g.oneOrMore(g.choice(g.byte([ 0x30, 0x39 ]), g.bytes([ 0xFF, 0x00 ]))), g.uint(2), g.any() ]);
+    }, { input: "binary" }, { input: "binary", compile: true });
+
+    for(let input of [ [ 0x31, 0xFF, 0x00, 0x32, 0x01, 0x02, 0x00 ], [ 0x31, 0xFF, 0x01 ] ]) {
+      const result = run(bin.parser("S"), input);
+      assert.deepEqual(run(binc.parser("S"), input).result(), result.result());
+      assert.equal(run(binc.parser("S"), input).farthest, result.farthest);
+    }
+
+    const [ tok, tokc ] = variants((grammar) => {
+      grammar.define("S", g.oneOrMore(g.choice(g.token("a"), g.any())));
+    }, { input: "tokens" }, { input: "tokens", compile: true });
+    const tokens = [ { type: "a" }, null, 0, { type: "b" } ];
+    assert.deepEqual(run(tokc.parser("S"), tokens).result(), run(tok.parser("S"), tokens).result());
+  });
+
+  it("should check the limits in the loops", function() {
+    const grammar = new g.Grammar({ compile: true });
+    grammar.define("S", g.zeroOrMore(g.zeroOrOne("x")));
+
+    const parser = grammar.parser("S", undefined, { maxSteps: 1000 });
+    parser.accept("xxy");
+    parser.run();
+
+    assert.equal(parser.status, "aborted");
+    assert.equal(parser.error().limit, "maxSteps");
+    assert.equal(parser.cc, 1000);
+  });
+
+  it("should stop at the same step as the interpreter", function() {
+    const grammars = variants((grammar) => {
+      grammar.define("S", g.oneOrMore(g.rule("item")));
+      grammar.define("item", [ "a", g.zeroOrOne("b") ]);
+    }, {}, { compile: true });
+
+    for(let options of [ { maxSteps: 5000 }, { maxSteps: 5000, maxBacktrack: 1e6 } ]) {
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S", undefined, options), "ab".repeat(1000)));
+
+      assert.equal(actual.status, "aborted");
+      assert.equal(actual.cc, 5000);
+      assert.equal(actual.cc, expected.cc);
+      assert.equal(actual.tx, expected.tx);
+    }
+  });
+
+  it("should check the stack depth as the interpreter", function() {
+    const grammars = variants((grammar) => {
+      grammar.define("spin", g.zeroOrMore(g.zeroOrOne("x")));
+      grammar.define("nested", g.choice([ "a", g.rule("nested") ], "b"));
+      grammar.define("framed", g.choice([ g.join("a", g.rule("framed")) ], "b"));
+    }, {}, { compile: true });
+
+    for(let [ start, input ] of [ [ "spin", "xxy" ], [ "nested", "a".repeat(1000) ], [ "framed", "a".repeat(1000) ] ]) {
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser(start, undefined, { maxStack: 100 }), input));
+
+      assert.equal(actual.status, "aborted", start);
+      assert.equal(actual.error().limit, "maxStack", start);
+      assert.equal(actual.sx, expected.sx, start);
+      assert.equal(actual.cc, expected.cc, start);
+    }
+  });
+
+  it("should call the rules recursively", function() {
+    const grammars = variants((grammar) => {
+      grammar.define("S", g.choice([ "(", g.rule("S"), ")" ], "x"), (open, s, close) => (close) ? [ s ] : open);
+    }, {}, { compile: true });
+
+    const input = "(".repeat(500) + "x" + ")".repeat(500);
+    const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S"), input));
+
+    assert.equal(actual.status, "success");
+    assert.deepEqual(actual.result(), expected.result());
+    assert.equal(actual.cc, expected.cc);
+  });
+
+});
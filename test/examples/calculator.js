@@ -51,5 +51,90 @@ describe("calculator example", function() {
     assert.equal(parser.result(), 84);
   });
 
+});
+
+describe("left-recursive calculator example", function() {
+
+  const grammar = new peg.Grammar();
+  grammar.define("S",
+    peg.rule("sum"),
+    (data) => data
+  );
+
+  grammar.define("sum",
+    peg.choice(
+      [ peg.rule("sum"), peg.charset("+-"), peg.rule("product") ],
+      peg.rule("product"),
+    ),
+    (a, op, b) => (op === "+") ? a+b : (op === "-") ? a-b : a
+  );
+
+  grammar.define("product",
+    peg.choice(
+      [ peg.rule("product"), peg.charset("*/"), peg.rule("term") ],
+      peg.rule("term"),
+    ),
+    (a, op, b) => (op === "*") ? a*b : (op === "/") ? a/b : a
+  );
+
+  grammar.define("term",
+    peg.oneOrMore(peg.charset("0123456789")),
+    (...digits) => parseInt(digits.join("")),
+  );
+
+  it("should calculate", function() {
+    const parser = grammar.parser("S");
+    parser.accept("1+23+4*15"),
+    parser.run();
+
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), 84);
+  });
+
+  it("should use left associativity", function() {
+    const parser = grammar.parser("S");
+    parser.accept("100-20-3*8/4/2"),
+    parser.run();
+
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), 77);
+  });
+
+});
+
+describe("operator-precedence calculator example", function() {
+
+  const grammar = new peg.Grammar();
+  grammar.define("S",
+    peg.operators(peg.rule("term"), [
+      { infix: peg.charset("+-"), precedence: 1, action: (a, op, b) => (op === "+") ? a+b : a-b },
+      { infix: peg.charset("*/"), precedence: 2, action: (a, op, b) => (op === "*") ? a*b : a/b },
+      { prefix: "-", precedence: 3, action: (op, a) => -a },
+    ]),
+    (data) => data
+  );
+
+  grammar.define("term",
+    peg.oneOrMore(peg.charset("0123456789")),
+    (...digits) => parseInt(digits.join("")),
+  );
+
+  it("should calculate", function() {
+    const parser = grammar.parser("S");
+    parser.accept("1+23+4*15"),
+    parser.run();
+
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), 84);
+  });
+
+  it("should use left associativity", function() {
+    const parser = grammar.parser("S");
+    parser.accept("100-20-3*8/4/-2"),
+    parser.run();
+
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), 83);
+  });
 
 });
@@ -0,0 +1,225 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const url = require("url");
+const g = require("../lib/grammar.js");
+
+const ACTIONS = `
+function sum(a, op, b) {
+  return (op) ? a+b : a;
+}
+
+function number(digits) {
+  return parseInt(digits);
+}
+`;
+
+function calculator(actions) {
+  const grammar = new g.Grammar();
+  grammar.define("sum",
+    [ g.rule("number"), g.zeroOrOne("+", g.rule("sum")) ],
+    actions.sum
+  );
+  grammar.define("number",
+    g.join(g.oneOrMore(g.charset("0-9"))),
+    actions.number,
+    { token: true }
+  );
+
+  return grammar;
+}
+
+describe("generator", function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pegparse-"));
+  });
+
+  afterEach(function() {
+    // fs.rmSync() requires Node.js 14.14
+    (fs.rmSync ?? fs.rmdirSync)(dir, { recursive: true });
+  });
+
+  it("should generate a CommonJS module", function() {
+    fs.writeFileSync(path.join(dir, "actions.js"), ACTIONS + "module.exports = { sum, number };\n");
+    const actions = require(path.join(dir, "actions.js"));
+    const grammar = calculator(actions);
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("sum", {
+      actions: actions,
+      actionsModule: "./actions.js",
+    }));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.equal(parser.parse("1+23+4"), 28);
+  });
+
+  it("should generate an ES module", async function() {
+    fs.writeFileSync(path.join(dir, "actions.mjs"), ACTIONS + "export { sum, number };\n");
+    const actions = await import(url.pathToFileURL(path.join(dir, "actions.mjs")));
+    const grammar = calculator(actions);
+
+    fs.writeFileSync(path.join(dir, "parser.mjs"), grammar.generate("sum", {
+      format: "esm",
+      actions: actions,
+      actionsModule: "./actions.mjs",
+    }));
+    const parser = await import(url.pathToFileURL(path.join(dir, "parser.mjs")));
+
+    assert.equal(parser.parse("1+23+4"), 28);
+  });
+
+  it("should import CommonJS actions in an ES module", async function() {
+    // the exports assigned this way are only visible as the default export
+    fs.writeFileSync(path.join(dir, "actions.cjs"), ACTIONS + "const actions = module.exports;\nactions.sum = sum;\nactions.number = number;\n");
+    const actions = require(path.join(dir, "actions.cjs"));
+    const grammar = calculator(actions);
+
+    fs.writeFileSync(path.join(dir, "parser.mjs"), grammar.generate("sum", {
+      format: "esm",
+      actions: actions,
+      actionsModule: "./actions.cjs",
+    }));
+    const parser = await import(url.pathToFileURL(path.join(dir, "parser.mjs")));
+
+    assert.equal(parser.parse("1+23+4"), 28);
+  });
+
+  it("should report the modules not embedded in an ES module", async function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", "a");
+
+    fs.writeFileSync(path.join(dir, "parser.mjs"), grammar.generate("S", { format: "esm" }));
+    const parser = await import(url.pathToFileURL(path.join(dir, "parser.mjs")));
+
+    // the debug dump needs the util module
+    process.env["PEG_DEBUG"] = "1";
+    try {
+      assert.throws(() => parser.parse("a"), Error, "Module not embedded in the parser: util");
+    }
+    finally {
+      delete process.env["PEG_DEBUG"];
+    }
+  });
+
+  it("should embed the built-in functions", function() {
+    const grammar = new g.Grammar({ memo: true });
+    grammar.define("T",
+      [ g.string(g.charset("a-z")), g.label("n", g.string(g.charset("0-9"))) ],
+      undefined,
+      { named: true }
+    );
+
+    const source = grammar.generate("T");
+    assert.notInclude(source, "actions");
+
+    fs.writeFileSync(path.join(dir, "parser.js"), source);
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.deepEqual(parser.parse("abc123"), { n: "123" });
+  });
+
+  it("should throw SyntaxErrors", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", [ "a", g.oneOrMore(g.charset("0-9")) ]);
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.throws(() => parser.parse("ab"), SyntaxError, "line 1, col 2: expected [0-9], found \"b\"");
+  });
+
+  it("should embed the Unicode charsets", function() {
+    const grammar = new g.Grammar({ unicode: true });
+    grammar.define("S", g.join(g.oneOrMore(g.property("L")), g.charset("😀-🙏")));
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.deepEqual(parser.parse("Ωmega𝒜🙏"), [ "Ωmega𝒜🙏" ]);
+    assert.throws(() => parser.parse("Ω1"), SyntaxError, "line 1, col 2: expected \\p{L} or [😀-🙏], found \"1\"");
+  });
+
+  it("should throw RangeErrors when a limit is exceeded", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", g.zeroOrMore(g.zeroOrOne("x")));
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.throws(() => parser.parse("xxy", undefined, { maxSteps: 1000 }), RangeError, "step limit exceeded");
+  });
+
+  it("should build abstract syntax trees", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", [ g.rule("a"), g.rule("b") ]);
+    grammar.define("a", "a", undefined, { ast: "inline" });
+    grammar.define("b", "b");
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.deepEqual(JSON.parse(JSON.stringify(parser.parse("ab", undefined, { ast: true }))), {
+      type: "S",
+      children: [ { type: "b", children: [], text: "b", start: 1, end: 2 } ],
+      text: "ab",
+      start: 0,
+      end: 2,
+    });
+  });
+
+  it("should support binary input", function() {
+    const grammar = new g.Grammar({ input: "binary" });
+    grammar.define("S", [ g.bytes("PK"), g.byte([ 0x01, 0x08 ]), g.uint(4, "le") ]);
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.deepEqual(parser.parse(Buffer.from([ 0x50, 0x4B, 0x03, 0x0A, 0, 0, 0 ])), [ new Uint8Array([ 0x50, 0x4B ]), 3, 10 ]);
+    assert.throws(() => parser.parse(Buffer.from([ 0x50, 0x4B, 0x00 ])), SyntaxError, "offset 2: expected [0x01-0x08], found 0x00");
+  });
+
+  it("should support the parse state", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", g.choice([ "(", g.withState("nested", true, g.rule("S")), ")" ], [ g.checkState("nested"), "x" ]));
+
+    fs.writeFileSync(path.join(dir, "parser.js"), grammar.generate("S"));
+    const parser = require(path.join(dir, "parser.js"));
+
+    assert.deepEqual(parser.parse("((x))"), [ "(", [ "(", [ "x" ], ")" ], ")" ]);
+    assert.throws(() => parser.parse("x"), SyntaxError);
+  });
+
+  it("should reject the functions not exported by the actions module", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", "a", () => 0);
+
+    assert.throws(() => grammar.generate("S", { actions: {}, actionsModule: "./actions" }), TypeError);
+  });
+
+  it("should reject unknown start rules", function() {
+    const grammar = new g.Grammar();
+
+    assert.throws(() => grammar.generate("S"), TypeError);
+  });
+
+});
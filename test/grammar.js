@@ -18,6 +18,7 @@
 const assert = require("chai").assert;
 const g = require("../lib/grammar.js");
 const func = require("../lib/func.js");
+const { variants } = require("./helpers.js");
 
 describe("grammar", function() {
 
@@ -49,6 +50,21 @@ describe("grammar", function() {
       ]);
     });
 
+    it("should translate to 'ichar' and 'istring' opcodes when ignoring case", function() {
+      assert.deepEqual(g.litteral("k", { ignoreCase: true }).instructions, [
+        "ichar", [ "k", "K", "\u212A" ],
+      ]);
+      assert.deepEqual(g.litteral("Hé", { ignoreCase: true }).instructions, [
+        "istring", [ [ "H", "h" ], [ "é", "É" ] ],
+      ]);
+      assert.deepEqual(g.ichar("1").instructions, [
+        "ichar", [ "1" ],
+      ]);
+      assert.deepEqual(g.litteral("ß", { ignoreCase: true }).instructions, [
+        "istring", [ [ "s", "S", "ſ", [ "ß", 2 ], [ "ẞ", 2 ] ], [ "s", "S", "ſ" ] ],
+      ]);
+    });
+
   });
 
   describe("charset", function() {
@@ -119,6 +135,43 @@ describe("grammar", function() {
       assert.deepEqual(cs1.union(cs2), cs3);
     });
 
+    it("should accept code points beyond the BMP", function() {
+      const cs = g.charset("\u{1F600}-\u{1F64F}", "a", "😀-🙏");
+
+      assert.isTrue(cs._set.has(0x1F600));
+      assert.isTrue(cs._set.has(0x1F64F));
+      assert.isTrue(cs._set.has(97));
+      assert.isFalse(cs._set.has(0x1F650));
+      assert.deepEqual(cs._set.table, [ 97, 97, 0x1F600, 0x1F64F ]);
+    });
+
+    it("should support Unicode properties", function() {
+      const letters = g.property("L");
+
+      for(let c of "aZéΩж𝒜") {
+        assert.isTrue(letters._set.has(c.codePointAt(0)), `${c} should be in set`);
+      }
+      for(let c of "1_ 😀") {
+        assert.isFalse(letters._set.has(c.codePointAt(0)), `${c} should not be in set`);
+      }
+      assert.equal(letters._set.name, "\\p{L}");
+      assert.throws(() => g.property("Nope"), TypeError, "Unknown Unicode property: Nope");
+    });
+
+    it("can combine Unicode properties", function() {
+      const cs = g.property("Nd").difference("0-9").union("_");
+
+      assert.include(cs.set, "٣");
+      assert.include(cs.set, "_");
+      assert.notInclude(cs.set, "3");
+    });
+
+    it("can ignore case", function() {
+      assert.equal(g.charset("a-c", "ß", "1").ignoreCase().set, "1ABCabcßẞ");
+      assert.equal(g.icharset("σ").set, "Σςσ");
+      assert.equal(g.icharset("\u{10400}").set, "\u{10400}\u{10428}");
+    });
+
   });
 
 
@@ -212,6 +265,20 @@ describe("grammar", function() {
 
   });
 
+  describe("captures", function() {
+
+    it("should label the data captured by a program", function() {
+      const code = g.label("name", g.litteral("a"));
+
+      assert.deepEqual(code.instructions, [
+        "frame", undefined,
+        "char", "a",
+        "label", "name",
+      ]);
+    });
+
+  });
+
   describe("rules and the grammar object", function() {
 
     it("can create an empty grammar", function() {
@@ -220,6 +287,39 @@ describe("grammar", function() {
       assert.isOk(grammar);
     });
 
+    it("should detect left-recursive rules", function() {
+      const grammar = new g.Grammar();
+      grammar.define("direct", [ g.rule("direct"), "a" ]);
+      grammar.define("indirect", g.choice("b", [ g.zeroOrOne("c"), g.rule("hidden"), "a" ]));
+      grammar.define("hidden", [ g.zeroOrMore("d"), g.rule("indirect") ]);
+      grammar.define("guarded", [ "a", g.rule("guarded") ]);
+
+      assert.isTrue(grammar.isLeftRecursive("direct"));
+      assert.isTrue(grammar.isLeftRecursive("indirect"));
+      assert.isTrue(grammar.isLeftRecursive("hidden"));
+      assert.isFalse(grammar.isLeftRecursive("guarded"));
+    });
+
+    it("should memoize left-recursive rules", function() {
+      const grammar = new g.Grammar();
+      grammar.define("direct", [ g.rule("direct"), "a" ]);
+      grammar.define("disabled", [ g.rule("disabled"), "a" ], undefined, { memo: false });
+      grammar.define("guarded", [ "a", g.rule("guarded") ]);
+
+      assert.isTrue(grammar.isMemoized("direct"));
+      assert.isFalse(grammar.isMemoized("disabled"));
+      assert.isFalse(grammar.isMemoized("guarded"));
+    });
+
+    it("should compute the lookbehind distance", function() {
+      const grammar = new g.Grammar();
+      grammar.define("r1", [ g.nat(-1, "a"), g.nat(2, "b") ]);
+      assert.equal(grammar.lookbehind(), 1);
+
+      grammar.define("r2", g.nat(-2, "c"));
+      assert.equal(grammar.lookbehind(), 3);
+    });
+
     it("should add the 'return' opcode at the end of the rules", function() {
       const grammar = new g.Grammar();
       grammar.define("r1", g.litteral("a"));
@@ -232,5 +332,192 @@ describe("grammar", function() {
 
   });
 
+  describe("operators", function() {
+
+    it("should reject invalid operators", function() {
+      assert.throws(() => g.operators(g.rule("x"), [ { precedence: 1 } ]), TypeError);
+      assert.throws(() => g.operators(g.rule("x"), [ { infix: "+", prefix: "+", precedence: 1 } ]), TypeError);
+      assert.throws(() => g.operators(g.rule("x"), [ { infix: "+" } ]), TypeError);
+      assert.throws(() => g.operators(g.rule("x"), [ { infix: "+", precedence: 1, assoc: "none" } ]), TypeError);
+    });
+
+    it("should match a single operand without operators", function() {
+      assert.deepEqual(g.operators(g.rule("x"), []).instructions, [
+        "frame", undefined,
+        "jsr", "x",
+        "climb", undefined,
+      ]);
+    });
+
+  });
+
+  describe("skip rule", function() {
+
+    it("should call the skip rule before the tokens of syntactic rules", function() {
+      const grammar = new g.Grammar({ skip: "ws" });
+      grammar.define("Pair", [ g.rule("key"), g.zeroOrMore(":") ]);
+      grammar.define("key", [ "k", g.rule("ws") ]);
+
+      const ws = g.consume(g.rule("ws")).instructions;
+      assert.deepEqual(grammar.get("Pair"), [
+        ...ws,
+        "jsr", "key",
+        "choice", 10,
+        ...ws,
+        "char", ":",
+        "commit", -12,
+        "ret", undefined,
+      ]);
+      assert.deepEqual(grammar.get("key"), [
+        "char", "k",
+        "jsr", "ws",
+        "ret", undefined,
+      ]);
+    });
+
+    it("should not skip inside the string captures", function() {
+      const grammar = new g.Grammar({ skip: "ws" });
+      grammar.define("Stmt", [ "while", g.join(g.rule("a"), g.rule("b")) ]);
+
+      const ws = g.consume(g.rule("ws")).instructions;
+      assert.deepEqual(grammar.get("Stmt"), [
+        ...ws,
+        ...g.litteral("while").instructions,
+        ...ws,
+        ...g.join(g.rule("a"), g.rule("b")).instructions,
+        "ret", undefined,
+      ]);
+    });
+
+    it("should accept the syntactic option", function() {
+      const grammar = new g.Grammar({ skip: "ws" });
+      grammar.define("A", "a", undefined, { syntactic: false });
+      grammar.define("b", "b", undefined, { syntactic: true });
+
+      assert.deepEqual(grammar.get("A"), [ "char", "a", "ret", undefined ]);
+      assert.deepEqual(grammar.get("b"), [ ...g.consume(g.rule("ws")).instructions, "char", "b", "ret", undefined ]);
+    });
+
+    it("should not change the rules without a skip rule", function() {
+      const grammar = new g.Grammar();
+      grammar.define("A", "a");
+
+      assert.deepEqual(grammar.get("A"), [ "char", "a", "ret", undefined ]);
+    });
+
+  });
+
+  describe("validation", function() {
+
+    function types(diagnostics) {
+      return diagnostics.map(({ type, severity, rule }) => `${severity} ${type} ${rule}`);
+    }
+
+    it("should accept a valid grammar", function() {
+      const grammar = new g.Grammar();
+      grammar.define("sum", [ g.rule("number"), g.zeroOrMore("+", g.rule("number")) ]);
+      grammar.define("number", g.oneOrMore(g.charset("0-9")));
+
+      assert.deepEqual(grammar.validate("sum"), []);
+    });
+
+    it("should report undefined rules", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ "a", g.rule("missing") ]);
+
+      assert.deepEqual(types(grammar.validate("S")), [ "error undefined-rule S" ]);
+      assert.deepEqual(types(grammar.validate("T")), [
+        "error undefined-rule T",
+        "warning unreachable-rule S",
+      ]);
+      assert.include(grammar.validate("S")[0].message, "missing");
+    });
+
+    it("should report unreachable rules", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.rule("used"));
+      grammar.define("used", "a");
+      grammar.define("unused", "b");
+
+      assert.deepEqual(types(grammar.validate("S")), [ "warning unreachable-rule unused" ]);
+    });
+
+    it("should report left-recursive cycles", function() {
+      const grammar = new g.Grammar();
+      grammar.define("sum", g.choice([ g.rule("product"), "+", "1" ], "1"));
+      grammar.define("product", g.choice([ g.rule("sum"), "*", "2" ], "2"));
+      grammar.define("list", g.choice([ g.rule("list"), ",", "x" ], "x"), undefined, { memo: false });
+      grammar.define("S", [ g.rule("sum"), g.rule("list") ]);
+
+      const diagnostics = grammar.validate("S");
+      assert.deepEqual(types(diagnostics), [
+        "warning left-recursion sum",
+        "error left-recursion list",
+      ]);
+      assert.include(diagnostics[0].message, "sum -> product -> sum");
+      assert.include(diagnostics[1].message, "list -> list");
+    });
+
+    it("should report loops matching the empty input", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.zeroOrMore(g.zeroOrOne("x")), g.oneOrMore(g.rule("empty")) ]);
+      grammar.define("empty", g.zeroOrOne("y"));
+
+      const diagnostics = grammar.validate("S");
+      assert.deepEqual(types(diagnostics), [
+        "error empty-loop S",
+        "error empty-loop S",
+      ]);
+      assert.include(diagnostics[0].message, "\"x\"?*");
+      assert.include(diagnostics[1].message, "empty*");
+    });
+
+    it("should report shadowed alternatives", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice(g.rule("prefix"), g.rule("subset"), g.rule("infallible"), g.rule("valid")));
+      grammar.define("prefix", g.choice("a", "ab"));
+      grammar.define("subset", g.choice(g.charset("0-9"), "5"));
+      grammar.define("infallible", g.choice(g.zeroOrMore("z"), "y"));
+      grammar.define("valid", g.choice("ab", "a", g.charset("0-9"), g.charset("a-z")));
+
+      const diagnostics = grammar.validate("S");
+      assert.deepEqual(types(diagnostics), [
+        "warning shadowed-alternative prefix",
+        "warning shadowed-alternative subset",
+        "warning shadowed-alternative infallible",
+      ]);
+      assert.include(diagnostics[0].message, "#2 \"ab\" shadowed by the alternative #1 \"a\"");
+    });
+
+    it("should report the source of the shadowed alternatives", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.choice("a", "ab"), g.choice(g.charset("a-z"), [ "b", g.not("c") ]) ]);
+
+      assert.deepEqual(grammar.validate("S").map(({ message }) => message), [
+        "Rule S has an alternative #2 \"ab\" shadowed by the alternative #1 \"a\"",
+        "Rule S has an alternative #2 \"b\" !\"c\" shadowed by the alternative #1 [a-z]",
+      ]);
+    });
+
+    it("should check the rules as defined", function() {
+      const [ plain, ...others ] = variants((grammar) => {
+        grammar.define("S", [ g.rule("T"), g.oneOrMore(g.rule("T"), g.zeroOrMore("x")), g.zeroOrMore(g.zeroOrOne("y")) ]);
+        grammar.define("T", g.choice(g.charset("a-z"), "b", [ "a", "c" ]));
+        grammar.define("space", g.zeroOrMore(" "));
+      }, {}, { optimize: true }, { skip: "space" }, { optimize: true, skip: "space", compile: true });
+
+      const expected = plain.validate("S").filter(({ type }) => type !== "unreachable-rule");
+      assert.deepEqual(types(expected), [
+        "error empty-loop S",
+        "warning shadowed-alternative T",
+        "warning shadowed-alternative T",
+      ]);
+      for(let grammar of others) {
+        assert.deepEqual(grammar.validate("S").filter(({ type }) => type !== "unreachable-rule"), expected);
+      }
+    });
+
+  });
+
 });
 
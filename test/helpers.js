@@ -0,0 +1,51 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const g = require("../lib/grammar.js");
+
+/**
+  Feed the input to a parser, in one or several chunks, then run it.
+
+  @return{Parser} The parser.
+*/
+function run(parser, ...chunks) {
+  for(let chunk of chunks) {
+    parser.accept(chunk);
+  }
+  parser.run();
+
+  return parser;
+}
+
+/**
+  Build the same grammar once for each set of options.
+
+  @return{Array} The grammars, in the order of the options.
+*/
+function variants(build, ...options) {
+  return options.map((grammarOptions) => {
+    const grammar = new g.Grammar(grammarOptions);
+    build(grammar);
+
+    return grammar;
+  });
+}
+
+module.exports = {
+  run,
+  variants,
+};
@@ -0,0 +1,174 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const g = require("../lib/grammar.js");
+const n = require("../lib/notation.js");
+const { run } = require("./helpers.js");
+
+describe("notation", function() {
+
+  it("should return a Grammar", function() {
+    const grammar = n.parseGrammar("r1 <- 'a'");
+
+    assert.instanceOf(grammar, g.Grammar);
+  });
+
+  it("should produce the same code as the combinators", function() {
+    const grammar = n.parseGrammar(`
+      r1 <- "ab" / r2* !"c" &'d' [0-9] .
+      r2 <- r1? r1+
+    `);
+
+    assert.deepEqual(grammar.get("r1"), [
+      ...g.choice(
+        g.litteral("ab"),
+        [ g.zeroOrMore(g.rule("r2")), g.not("c"), g.and("d"), g.charset("0-9"), g.any() ],
+      ).instructions,
+      "ret", undefined,
+    ]);
+    assert.deepEqual(grammar.get("r2"), [
+      ...g.zeroOrOne(g.rule("r1")).instructions,
+      ...g.oneOrMore(g.rule("r1")).instructions,
+      "ret", undefined,
+    ]);
+  });
+
+  it("should accept groups", function() {
+    const grammar = n.parseGrammar("S <- ('a' / 'b')+ 'c'");
+    const parser = run(grammar.parser("S"), "abbac");
+
+    assert.equal(parser.status, "success");
+    assert.deepEqual(parser.result(), ["a", "b", "b", "a", "c"]);
+  });
+
+  it("should accept negated charsets", function() {
+    const grammar = n.parseGrammar("S <- '\"' [^\"]* '\"'");
+    const parser = run(grammar.parser("S"), "\"abc\"");
+
+    assert.equal(parser.status, "success");
+    assert.deepEqual(parser.result(), ["\"", "a", "b", "c", "\""]);
+  });
+
+  it("should accept escape sequences", function() {
+    const grammar = n.parseGrammar("S <- '\\n' [\\t\\]] '\\u0041'");
+    const parser = run(grammar.parser("S"), "\n]A");
+
+    assert.equal(parser.status, "success");
+    assert.deepEqual(parser.result(), ["\n", "]", "A"]);
+  });
+
+  it("should ignore comments", function() {
+    const grammar = n.parseGrammar(`
+      # The start rule
+      S <- "a" # only one letter
+    `);
+    const parser = run(grammar.parser("S"), "a");
+
+    assert.equal(parser.status, "success");
+  });
+
+  it("should accept hyphens in rule names", function() {
+    const grammar = n.parseGrammar(`
+      S <- quoted-string
+      quoted-string <- '"' (!'"' .)* '"'
+    `);
+    const parser = run(grammar.parser("S"), "\"a\"");
+
+    assert.equal(parser.status, "success");
+  });
+
+  it("should attach actions by rule name", function() {
+    const grammar = n.parseGrammar(`
+      S       <- sum
+      sum     <- product ("+" sum)?
+      product <- term ("*" product)?
+      term    <- [0-9]+
+    `, {
+      S: (data) => data,
+      sum: (prod, op, sum) => (op) ? prod+sum : prod,
+      product: (term, op, prod) => (op) ? term*prod : term,
+      term: (...digits) => parseInt(digits.join("")),
+    });
+    const parser = run(grammar.parser("S"), "1+23+4*15");
+
+    assert.equal(parser.status, "success");
+    assert.equal(parser.result(), 84);
+  });
+
+  it("should ignore inherited properties of the actions object", function() {
+    const grammar = n.parseGrammar("toString <- 'a'");
+    const parser = run(grammar.parser("toString"), "a");
+
+    assert.equal(parser.status, "success");
+    assert.deepEqual(parser.result(), ["a"]);
+  });
+
+  it("should add the rules to an existing grammar", function() {
+    const grammar = new g.Grammar();
+    grammar.define("digit", g.charset("0-9"));
+
+    const result = n.parseGrammar("S <- digit+", {}, grammar);
+    assert.strictEqual(result, grammar);
+
+    const parser = run(grammar.parser("S"), "42");
+    assert.equal(parser.status, "success");
+  });
+
+  it("should accept Unicode properties and code points", function() {
+    const grammar = n.parseGrammar(String.raw`
+      S <- [\p{Lu}_]+ \p{Nd} "\u{1F600}"
+    `, {}, new g.Grammar({ unicode: true }));
+
+    assert.deepEqual(grammar.get("S"), [
+      ...g.oneOrMore(g.property("Lu").union("_")).instructions,
+      ...g.property("Nd").instructions,
+      ...g.litteral("\u{1F600}").instructions,
+      "ret", undefined,
+    ]);
+
+    const parser = run(grammar.parser("S"), "AÉ_9😀");
+    assert.equal(parser.status, "success");
+    assert.deepEqual(parser.result(), [ "A", "É", "_", "9", "😀" ]);
+  });
+
+  it("should accept case-insensitive litterals and charsets", function() {
+    const grammar = n.parseGrammar(`
+      S <- "select"i [a-c]i+ [^x]i "if"i if
+      if <- "if"
+    `);
+
+    assert.deepEqual(grammar.get("S"), [
+      ...g.litteral("select", { ignoreCase: true }).instructions,
+      ...g.oneOrMore(g.icharset("a-c")).instructions,
+      ...g.anyExcept(g.icharset("x")).instructions,
+      ...g.litteral("if", { ignoreCase: true }).instructions,
+      ...g.rule("if").instructions,
+      "ret", undefined,
+    ]);
+
+    const parser = run(grammar.parser("S"), "SELECTaBcyIfif");
+    assert.equal(parser.status, "success");
+  });
+
+  it("should reject invalid grammars", function() {
+    assert.throws(() => n.parseGrammar("S <- ('a'"), SyntaxError);
+    assert.throws(() => n.parseGrammar("S = 'a'"), SyntaxError);
+    assert.throws(() => n.parseGrammar("S <- 'a'\n  T <-- 'b'"), /line 2, col 7/);
+  });
+
+});
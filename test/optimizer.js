@@ -0,0 +1,160 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const g = require("../lib/grammar.js");
+const o = require("../lib/optimizer.js");
+const { run, variants } = require("./helpers.js");
+
+function optimize(...programs) {
+  return o.optimize(g.concat(...programs).instructions);
+}
+
+describe("optimizer", function() {
+
+  describe("decode and encode", function() {
+
+    it("should be the identity", function() {
+      const code = g.concat(
+        g.zeroOrMore(g.choice("a", [ "b", g.not("c") ])),
+        g.and(g.zeroOrOne("d")),
+      ).instructions;
+
+      assert.deepEqual(o.encode(o.decode(code)), code);
+    });
+
+  });
+
+  describe("rewriting", function() {
+
+    it("should match litterals as a whole", function() {
+      assert.deepEqual(optimize(g.litteral("abc")), [ "string", "abc" ]);
+      assert.deepEqual(optimize(g.litteral("a")), [ "char", "a" ]);
+    });
+
+    it("should merge the alternatives between characters", function() {
+      assert.deepEqual(optimize(g.choice("a", g.charset("0-9"), "b")), [
+        ...g.charset("0-9", "ab").instructions,
+      ]);
+    });
+
+    it("should match repeated charsets in one instruction", function() {
+      assert.deepEqual(optimize(g.zeroOrMore(g.charset("0-9"))), [
+        "span", g.charset("0-9").instructions[1],
+      ]);
+    });
+
+    it("should test the first character before pushing a backtrack entry", function() {
+      assert.deepEqual(optimize(g.zeroOrOne("a", "b")), [
+        "testchar", { char: "a", offset: 4 },
+        "char", "b",
+        "commit", 2,
+        "pushd", undefined,
+      ]);
+    });
+
+    it("should simplify the and predicate", function() {
+      assert.deepEqual(optimize(g.and("ab")), [
+        "choice", 4,
+        "string", "ab",
+        "backcommit", 2,
+        "fail", undefined,
+      ]);
+    });
+
+    it("should keep the jumps to the rewritten instructions", function() {
+      assert.deepEqual(optimize(g.zeroOrMore(g.choice("ab", "c"))), [
+        "choice", 10,
+        "choice", 4,
+        "string", "ab",
+        "commit", 2,
+        "char", "c",
+        "commit", -12,
+      ]);
+    });
+
+    it("should rewrite the large choices", function() {
+      const letters = [ ..."abcdefghijklmnopqrstuvwxyz" ];
+      const words = letters.flatMap((a) => letters.map((b) => a+b+"x"));
+
+      const code = optimize(g.choice(...words, ...letters));
+      assert.deepEqual(code.slice(-6), [ "string", "zzx", "commit", 2, ...g.charset("a-z").instructions ]);
+      assert.equal(code.length, words.length*6+2);
+    });
+
+  });
+
+  describe("execution", function() {
+
+    const grammars = variants((grammar) => {
+      grammar.define("S", [ g.rule("line"), g.zeroOrMore("\n", g.rule("line")), g.not(g.any()) ]);
+      grammar.define("line", [ g.rule("value"), g.zeroOrMore(",", g.rule("value")) ]);
+      grammar.define("value", g.choice(
+        g.rule("number"),
+        g.rule("quoted"),
+        g.join(g.zeroOrMore(g.anyExcept(g.charset(",\n")))),
+      ));
+      grammar.define("number",
+        [ g.and(g.charset("0-9")), g.join(g.oneOrMore(g.charset("0-9"))), g.not(g.anyExcept(g.charset(",\n"))) ],
+        (n) => parseInt(n)
+      );
+      grammar.define("quoted",
+        [ g.consume("\"\"\""), g.join(g.zeroOrMore(g.not("\"\"\""), g.any())), g.consume("\"\"\"") ],
+        (str) => str
+      );
+    }, {}, { optimize: true });
+
+    it("should produce the same results with fewer instructions", function() {
+      const input = "1,abc,\"\"\"x,y\"\"\"\n22,333x,\"\"\"\"\"\"";
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S"), input));
+
+      assert.equal(actual.status, "success");
+      assert.deepEqual(actual.result(), expected.result());
+      assert.isBelow(actual.cc, expected.cc);
+    });
+
+    it("should report the same errors", function() {
+      for(let input of [ "\"\"x", "\"\"\"abc" ]) {
+        const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("quoted"), input));
+
+        assert.equal(actual.status, "failure");
+        assert.deepEqual(actual.error(), expected.error());
+      }
+    });
+
+    it("should suspend at the end of the buffer", function() {
+      const [ expected, actual ] = grammars.map((grammar) => run(grammar.parser("S"), "12", "3,\"\"", "\"a\"", "\"\"\n"));
+
+      assert.equal(actual.status, "success");
+      assert.deepEqual(actual.result(), expected.result());
+    });
+
+    it("should preserve left recursion", function() {
+      const grammar = new g.Grammar({ optimize: true });
+      grammar.define("sum",
+        g.choice([ g.rule("sum"), "-", g.rule("digits") ], g.rule("digits")),
+        (a, op, b) => (op) ? a-b : a
+      );
+      grammar.define("digits", g.join(g.oneOrMore(g.charset("0-9"))), (d) => parseInt(d));
+
+      assert.isTrue(grammar.isLeftRecursive("sum"));
+      assert.equal(run(grammar.parser("sum"), "10-3-2").result(), 5);
+    });
+
+  });
+
+});
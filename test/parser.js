@@ -18,6 +18,7 @@
 const assert = require("chai").assert;
 const g = require("../lib/grammar.js");
 const f = require("../lib/func.js");
+const { run } = require("./helpers.js");
 
 describe("parser", function() {
   it("should start and end on empty grammar", function() {
@@ -381,6 +382,1422 @@ describe("parser", function() {
 
   });
 
+  describe("semantic predicates", function() {
+    function statement(options) {
+      const grammar = new g.Grammar(options);
+      grammar.define("statement", g.choice(g.rule("keyword"), g.rule("call"), g.rule("number")), (statement) => statement);
+      grammar.define("keyword", [ g.predicate(function() { return this.extensions; }), "@", g.rule("name") ], (at, name) => ({ keyword: name }));
+      grammar.define("call", g.guard(g.rule("name"), function(name) { return !this.reserved.has(name); }), (name) => ({ call: name }));
+      grammar.define("name", g.join(g.oneOrMore(g.charset("a-z"))), (name) => name, { token: true });
+      grammar.define("number", g.guard(g.label("value", g.rule("digits")), (value) => value < 2**31), undefined, { named: true });
+      grammar.define("digits", g.join(g.oneOrMore(g.charset("0-9"))), Number);
+
+      return grammar;
+    }
+
+    for(let options of [ {}, { optimize: true, compile: true } ]) {
+      it(`should call the predicates with the context (${JSON.stringify(options)})`, function() {
+        const grammar = statement(options);
+        const context = { extensions: true, reserved: new Set() };
+
+        assert.deepEqual(run(grammar.parser("statement", context), "@abc").result(), { keyword: "abc" });
+        context.extensions = false;
+        assert.equal(run(grammar.parser("statement", context), "@abc").status, "failure");
+      });
+
+      it(`should backtrack when a guard rejects the match (${JSON.stringify(options)})`, function() {
+        const grammar = statement(options);
+        const context = { extensions: false, reserved: new Set([ "if" ]) };
+
+        assert.deepEqual(run(grammar.parser("statement", context), "iff").result(), { call: "iff" });
+        assert.equal(run(grammar.parser("statement", context), "if").status, "failure");
+      });
+    }
+
+    it("should keep the data captured by the guarded program", function() {
+      const grammar = statement();
+
+      assert.deepEqual(run(grammar.parser("statement", {}), "2147483647").result(), { value: 2147483647 });
+      assert.equal(run(grammar.parser("statement", {}), "2147483648").status, "failure");
+    });
+
+    for(let options of [ {}, { memo: true }, { optimize: true, compile: true } ]) {
+      it(`should report the failed predicates (${JSON.stringify(options)})`, function() {
+        const grammar = new g.Grammar(options);
+        grammar.define("assignment", [ g.join(g.oneOrMore(g.charset("a-z"))), "=", g.rule("int32") ]);
+        grammar.define("int32", g.guard(g.rule("digits"), (value) => value < 2**31, "a 32-bit integer"));
+        grammar.define("digits", g.join(g.oneOrMore(g.charset("0-9"))), Number);
+        grammar.define("extension", [ g.predicate(function extensions() { return this.extensions; }), "@" ]);
+
+        const error = run(grammar.parser("assignment", {}), "x=99999999999").error();
+        assert.deepEqual(error.expected, [ { type: "charset", value: g.charset("0-9").instructions[1] }, { type: "predicate", value: "a 32-bit integer" } ]);
+        assert.equal(error.message, "line 1, col 14: expected [0-9] or a 32-bit integer, found end of input");
+
+        const context = { extensions: false };
+        assert.equal(run(grammar.parser("extension", context), "@").error().message, "line 1, col 1: expected extensions, found \"@\"");
+      });
+    }
+
+  });
+
+  describe("parse state", function() {
+    function statements(options) {
+      const grammar = new g.Grammar(options);
+      grammar.define("block", [ g.consume("{"), g.zeroOrMore(g.rule("statement")), g.consume("}") ], (...statements) => statements);
+      grammar.define("statement", g.choice(g.rule("while"), g.rule("function"), g.rule("break"), g.rule("block")), (statement) => statement);
+      grammar.define("while", [ g.consume("w"), g.withState("loop", true, g.rule("statement")) ], (body) => ({ while: body }));
+      grammar.define("function", [ g.consume("f"), g.withState("loop", false, g.rule("block")) ], (body) => ({ function: body }));
+      grammar.define("break", [ g.checkState("loop"), "b" ], () => "break");
+
+      return grammar;
+    }
+
+    for(let options of [ {}, { optimize: true, compile: true }, { memo: true } ]) {
+      it(`should scope the flags (${JSON.stringify(options)})`, function() {
+        const grammar = statements(options);
+
+        assert.deepEqual(run(grammar.parser("block"), "{w{bwb}}").result(), [ { while: [ "break", { while: "break" } ] } ]);
+        assert.equal(run(grammar.parser("block"), "{b}").status, "failure");
+        assert.equal(run(grammar.parser("block"), "{w{b}b}").status, "failure");
+        assert.equal(run(grammar.parser("block"), "{w{f{b}}}").status, "failure");
+      });
+    }
+
+    it("should restore the flags on backtracking", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice(g.withState("strict", true, "a", "!"), [ "a", g.not(g.checkState("strict")) ]));
+
+      assert.equal(run(grammar.parser("S"), "a").status, "success");
+    });
+
+    it("should memoize the results for each parse state", function() {
+      const grammar = new g.Grammar({ memo: true });
+      grammar.define("S", g.choice([ g.withState("noIn", true, g.rule("E")), "!" ], g.rule("E")));
+      grammar.define("E", g.join("a", g.zeroOrOne(g.not(g.checkState("noIn")), " in b")));
+
+      assert.deepEqual(run(grammar.parser("S"), "a in b").result(), [ [ "a in b" ] ]);
+    });
+
+    it("should reject non-primitive values", function() {
+      assert.throws(() => g.withState("flag", {}, "a"), TypeError);
+      assert.throws(() => g.checkState(42), TypeError);
+    });
+
+  });
+
+  describe("memoization", function() {
+
+    function ambiguous(options, ruleOptions) {
+      // Each alternative of "S" matches "A" before failing on the last
+      // character. Without memoization, "A" is evaluated three times.
+      const grammar = new g.Grammar(options);
+      grammar.define("S", g.choice(
+        [ g.rule("A"), "x" ],
+        [ g.rule("A"), "y" ],
+        [ g.rule("A"), "z" ],
+      ));
+      grammar.define("A", g.oneOrMore(g.charset("ab")), f.JOIN, ruleOptions);
+
+      return grammar;
+    }
+
+    it("should be disabled by default", function() {
+      const grammar = ambiguous();
+
+      assert.isFalse(grammar.isMemoized("A"));
+      assert.isFalse(grammar.isMemoized("S"));
+    });
+
+    it("can be enabled for the whole grammar", function() {
+      const grammar = ambiguous({ memo: true });
+
+      assert.isTrue(grammar.isMemoized("A"));
+      assert.isTrue(grammar.isMemoized("S"));
+    });
+
+    it("can be enabled or disabled per rule", function() {
+      assert.isTrue(ambiguous({}, { memo: true }).isMemoized("A"));
+      assert.isFalse(ambiguous({ memo: true }, { memo: false }).isMemoized("A"));
+    });
+
+    it("should produce the same results", function() {
+      const p1 = run(ambiguous().parser("S"), "abbaz");
+      const p2 = run(ambiguous({}, { memo: true }).parser("S"), "abbaz");
+
+      assert.equal(p2.status, "success");
+      assert.deepEqual(p2.result(), p1.result());
+      assert.deepEqual(p2.result(), ["abba", "z"]);
+      assert.equal(p2.tx, p1.tx);
+    });
+
+    it("should evaluate a rule at most once per position", function() {
+      let count = 0;
+      const grammar = ambiguous();
+      grammar.define("A", g.oneOrMore(g.charset("ab")), (...data) => {
+        count += 1;
+        return data.join("");
+      }, { memo: true });
+
+      const parser = run(grammar.parser("S"), "abbaz");
+      assert.equal(parser.status, "success");
+      assert.equal(count, 1);
+    });
+
+    it("should reduce the clock count", function() {
+      const p1 = run(ambiguous().parser("S"), "abbaabbaabbaz");
+      const p2 = run(ambiguous({}, { memo: true }).parser("S"), "abbaabbaabbaz");
+
+      assert.isBelow(p2.cc, p1.cc);
+    });
+
+    it("should memoize failures", function() {
+      const grammar = ambiguous({}, { memo: true });
+      const parser = run(grammar.parser("S"), "cz");
+
+      assert.equal(parser.status, "failure");
+      assert.deepInclude(parser.memo.get("A@0"), { pending: false, success: false });
+    });
+
+    it("should bound the memo table size", function() {
+      const grammar = new g.Grammar({ memo: true, memoLimit: 4 });
+      grammar.define("S", g.zeroOrMore(g.rule("A")));
+      grammar.define("A", g.charset("ab"));
+
+      const parser = grammar.parser("S");
+      parser.accept("abababababab");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result().length, 12);
+      assert.isAtMost(parser.memo.size, 4);
+    });
+
+  });
+
+  describe("left recursion", function() {
+
+    it("should support direct left recursion", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        g.choice(
+          [ g.rule("S"), "-", g.rule("N") ],
+          g.rule("N"),
+        ),
+        (a, op, b) => (op) ? `(${a}-${b})` : a
+      );
+      grammar.define("N", g.charset("0-9"), (d) => d);
+
+      const parser = run(grammar.parser("S"), "1-2-3");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "((1-2)-3)");
+      assert.equal(parser.tx, 5);
+    });
+
+    it("should support indirect left recursion", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.rule("E"), (e) => e);
+      grammar.define("E", g.rule("T"), (t) => t);
+      grammar.define("T",
+        g.choice(
+          [ g.rule("E"), "-", g.rule("N") ],
+          g.rule("N"),
+        ),
+        (a, op, b) => (op) ? `(${a}-${b})` : a
+      );
+      grammar.define("N", g.charset("0-9"), (d) => d);
+
+      const parser = run(grammar.parser("S"), "1-2-3");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "((1-2)-3)");
+    });
+
+    it("should support several levels of left recursion", function() {
+      const grammar = new g.Grammar();
+      grammar.define("sum",
+        g.choice(
+          [ g.rule("sum"), g.charset("+-"), g.rule("product") ],
+          g.rule("product"),
+        ),
+        (a, op, b) => (op) ? `(${a}${op}${b})` : a
+      );
+      grammar.define("product",
+        g.choice(
+          [ g.rule("product"), g.charset("*/"), g.rule("N") ],
+          g.rule("N"),
+        ),
+        (a, op, b) => (op) ? `(${a}${op}${b})` : a
+      );
+      grammar.define("N", g.charset("0-9"), (d) => d);
+
+      const parser = run(grammar.parser("sum"), "1+2*3*4-5");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "((1+((2*3)*4))-5)");
+    });
+
+    it("should fail if the seed can't be planted", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        g.choice(
+          [ g.rule("S"), "-", g.rule("N") ],
+          g.rule("N"),
+        )
+      );
+      grammar.define("N", g.charset("0-9"));
+
+      const parser = run(grammar.parser("S"), "-1");
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.tx, 0);
+    });
+
+    it("should stop growing the seed on partial matches", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        [ g.rule("E"), "-!" ],
+        (e) => e
+      );
+      grammar.define("E",
+        g.choice(
+          [ g.rule("E"), "-", g.rule("N") ],
+          g.rule("N"),
+        ),
+        (a, op, b) => (op) ? `(${a}-${b})` : a
+      );
+      grammar.define("N", g.charset("0-9"), (d) => d);
+
+      const parser = run(grammar.parser("S"), "1-2-!");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "(1-2)");
+    });
+
+  });
+
+  describe("error reporting", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", [ g.rule("row"), g.zeroOrMore("\n", g.rule("row")), g.not(g.any()) ]);
+    grammar.define("row", [ g.rule("number"), g.zeroOrMore(",", g.rule("number")) ]);
+    grammar.define("number", g.oneOrMore(g.rule("digit")), f.JOIN);
+    grammar.define("digit", g.charset("0-9"), undefined, { token: true });
+
+    it("should report nothing on success", function() {
+      const parser = run(grammar.parser("S"), "1,2\n3");
+
+      assert.equal(parser.status, "success");
+      assert.isUndefined(parser.error());
+    });
+
+    it("should report the farthest failure position", function() {
+      const parser = run(grammar.parser("S"), "1,2\n3,45\n6,7,89,1x");
+      const error = parser.error();
+
+      assert.equal(parser.status, "failure");
+      assert.include(error, { offset: 17, line: 3, column: 9, found: "x" });
+    });
+
+    it("should report the expected tokens", function() {
+      const parser = run(grammar.parser("S"), "1,2\n3,45\n6,7,89,1x");
+      const error = parser.error();
+
+      assert.deepEqual(error.expected, [
+        { type: "token", value: "digit" },
+        { type: "literal", value: "," },
+        { type: "literal", value: "\n" },
+      ]);
+    });
+
+    it("should build a human-readable message", function() {
+      const parser = run(grammar.parser("S"), "1,2\n3,45\n6,7,89,1x");
+
+      assert.equal(parser.error().message, "line 3, col 9: expected digit, \",\" or \"\\n\", found \"x\"");
+    });
+
+    it("should report the end of input", function() {
+      const parser = run(grammar.parser("S"), "1,2,");
+
+      assert.equal(parser.error().message, "line 1, col 5: expected digit, found end of input");
+    });
+
+    it("should describe charsets", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.charset("a-z", "_", "0-9"), g.charset("xy") ]);
+
+      const parser = grammar.parser("S");
+      parser.accept("?");
+      parser.run();
+
+      assert.equal(parser.error().message, "line 1, col 1: expected [0-9_a-z], found \"?\"");
+    });
+
+  });
+
+  describe("locations", function() {
+
+    it("should pass the span of the match to the actions", function() {
+      const grammar = new g.Grammar();
+      const spans = [];
+      grammar.define("S", g.oneOrMore(g.rule("word"), g.zeroOrMore(g.charset(" \n"))));
+      grammar.define("word", g.oneOrMore(g.charset("a-z")),
+        (loc, ...letters) => {
+          spans.push(loc);
+          return letters.join("");
+        },
+        { location: true }
+      );
+
+      const parser = run(grammar.parser("S"), "ab cd\n  ef");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "ab", " ", "cd", "\n", " ", " ", "ef" ]);
+      assert.deepEqual(spans, [
+        { start: { offset: 0, line: 1, column: 1 }, end: { offset: 2, line: 1, column: 3 } },
+        { start: { offset: 3, line: 1, column: 4 }, end: { offset: 5, line: 1, column: 6 } },
+        { start: { offset: 8, line: 2, column: 3 }, end: { offset: 10, line: 2, column: 5 } },
+      ]);
+    });
+
+    it("should attach the span to the results of the rules", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.consume("\n"), g.rule("word") ], (word) => word);
+      grammar.define("word", g.oneOrMore(g.charset("a-z")),
+        (...letters) => ({ word: letters.join("") }),
+        { loc: true }
+      );
+
+      const parser = run(grammar.parser("S"), "\nabc");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), {
+        word: "abc",
+        loc: { start: { offset: 1, line: 2, column: 1 }, end: { offset: 4, line: 2, column: 4 } },
+      });
+    });
+
+    it("should attach the span to the default results", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ "a", g.located(g.oneOrMore("b")) ]);
+
+      const parser = run(grammar.parser("S"), "abbb");
+      const result = parser.result();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(result, [ "a", [ "b", "b", "b" ] ]);
+      assert.deepEqual(result[1].loc, {
+        start: { offset: 1, line: 1, column: 2 },
+        end: { offset: 4, line: 1, column: 5 },
+      });
+    });
+
+    it("should not attach the span to primitive values", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.oneOrMore("a"), f.JOIN, { loc: true });
+
+      const parser = run(grammar.parser("S"), "aaa");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "aaa");
+    });
+
+    it("should track the lines across several chunks", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.zeroOrMore(g.charset("a-z", "\n")), g.rule("X") ], (...data) => data.pop());
+      grammar.define("X", "X", (loc) => loc.start, { location: true });
+
+      const parser = grammar.parser("S");
+      parser.accept("ab\nc");
+      parser.accept("d\n\nef");
+      parser.accept("\nX");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), { offset: 10, line: 5, column: 1 });
+    });
+
+  });
+
+  describe("labels", function() {
+
+    it("should pass named captures to the action", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        [ g.label("left", g.rule("N")), g.zeroOrOne(g.label("op", "+"), g.label("right", g.rule("S"))) ],
+        ({ left, op, right }) => (op) ? left+right : left,
+        { named: true }
+      );
+      grammar.define("N", g.oneOrMore(g.charset("0-9")), (...digits) => parseInt(digits.join("")));
+
+      const parser = run(grammar.parser("S"), "1+20+300");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), 321);
+    });
+
+    it("should return the named captures if there is no action", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        [ g.label("key", g.string(g.charset("a-z"))), "=", g.label("value", g.string(g.charset("0-9"))) ],
+        undefined,
+        { named: true }
+      );
+
+      const parser = run(grammar.parser("S"), "abc=123");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), { key: "abc", value: "123" });
+    });
+
+    it("should pack several captures into an array", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        [ g.label("a", g.oneOrMore("a")), g.label("b", g.zeroOrMore("b")) ],
+        undefined,
+        { named: true }
+      );
+
+      const parser = run(grammar.parser("S"), "aaa");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), { a: ["a", "a", "a"], b: undefined });
+    });
+
+    it("should be replaced by their value for positional actions", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        [ g.label("a", "a"), g.label("b", "b", "c") ],
+        (...data) => data
+      );
+
+      const parser = run(grammar.parser("S"), "abc");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), ["a", ["b", "c"]]);
+    });
+
+    it("should be replaced by their value in the default results", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.label("a", "a"), g.capture(g.label("b", "b")) ]);
+
+      const parser = run(grammar.parser("S"), "ab");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), ["a", ["b"]]);
+    });
+
+    it("should be robust to reordering", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S",
+        g.choice(
+          [ g.label("name", g.rule("word")), "=", g.label("value", g.rule("word")) ],
+          [ g.label("value", g.rule("word")), "<-", g.label("name", g.rule("word")) ],
+        ),
+        ({ name, value }) => `${name}:${value}`,
+        { named: true }
+      );
+      grammar.define("word", g.string(g.charset("a-z")), (word) => word);
+
+      assert.equal(run(grammar.parser("S"), "x=y").result(), "x:y");
+      assert.equal(run(grammar.parser("S"), "y<-x").result(), "x:y");
+    });
+
+  });
+
+  describe("error recovery", function() {
+    const grammar = new g.Grammar();
+    const ERROR = Symbol("error");
+    grammar.define("S", g.zeroOrMore(g.and(g.any()), g.rule("statement")));
+    grammar.define("statement",
+      g.recover([ g.rule("assignment"), g.consume(";") ], ";", ERROR),
+      (statement) => statement
+    );
+    grammar.define("assignment",
+      [ g.string(g.charset("a-z")), g.consume("="), g.string(g.charset("0-9")) ],
+      (name, value) => `${name}:${value}`
+    );
+
+    it("should not record errors on success", function() {
+      const parser = run(grammar.parser("S"), "a=1;b=2;");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "a:1", "b:2" ]);
+      assert.deepEqual(parser.errors, []);
+    });
+
+    it("should return a partial result", function() {
+      const parser = run(grammar.parser("S"), "a=1;b=x;c=3;d;e=5;");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "a:1", ERROR, "c:3", ERROR, "e:5" ]);
+    });
+
+    it("should record the errors", function() {
+      const parser = run(grammar.parser("S"), "a=1;b=x;c=3;d;e=5;");
+
+      assert.deepEqual(parser.errors.map((error) => error.message), [
+        "line 1, col 7: expected [0-9], found \"x\"",
+        "line 1, col 14: expected [a-z] or \"=\", found \";\"",
+      ]);
+    });
+
+    it("should skip up to the end of the input", function() {
+      const parser = run(grammar.parser("S"), "a=1;b=x");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "a:1", ERROR ]);
+      assert.equal(parser.tx, 7);
+      assert.equal(parser.errors.length, 1);
+    });
+
+    it("should forget the errors on backtracking", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice(
+        [ g.recover("a", g.and("c")), "b" ],
+        "xc",
+      ));
+
+      const parser = grammar.parser("S");
+      parser.accept("xc");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "xc" ]);
+      assert.deepEqual(parser.errors, []);
+    });
+
+    it("should only report the failures of the protected program", function() {
+      for(let options of [ {}, { memo: true } ]) {
+        const grammar = new g.Grammar(options);
+        grammar.define("S", g.choice([ g.rule("X"), "a" ], [ g.rule("X"), "b" ]));
+        grammar.define("X", g.recover([ "(", "y", ")" ], ")", ERROR));
+
+        const parser = grammar.parser("S");
+        parser.accept("(x)b");
+        parser.run();
+
+        assert.equal(parser.status, "success");
+        assert.deepEqual(parser.result(), [ [ ERROR ], "b" ]);
+        assert.deepEqual(parser.errors.map((error) => error.message), [
+          "line 1, col 2: expected \"y\", found \"x\"",
+        ]);
+      }
+    });
+
+    it("should forget the errors on failure", function() {
+      for(let options of [ {}, { memo: true }, { compile: true } ]) {
+        const grammar = new g.Grammar(options);
+        grammar.define("S", [ g.rule("X"), g.rule("X"), ";" ]);
+        grammar.define("X", g.recover([ "(", "y", ")" ], ")", ERROR));
+
+        const parser = run(grammar.parser("S"), "(x)(y)z");
+
+        assert.equal(parser.status, "failure");
+        assert.equal(parser.error().message, "line 1, col 7: expected \";\", found \"z\"");
+        assert.deepEqual(parser.errors, []);
+      }
+    });
+
+  });
+
+  describe("streaming", function() {
+
+    function feed(grammar, ...chunks) {
+      const parser = grammar.parser("S");
+      for(let chunk of chunks) {
+        parser.accept(chunk);
+      }
+
+      return parser;
+    }
+
+    it("should suspend at the end of the buffer", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice("abc", "abd"));
+
+      const parser = feed(grammar, "ab");
+
+      assert.isTrue(parser.running);
+      assert.isTrue(parser.suspended);
+      assert.equal(parser.status, "");
+    });
+
+    it("should match across several chunks", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice("abc", "abd"));
+
+      const parser = feed(grammar, "a", "b", "d");
+
+      assert.isFalse(parser.running);
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), ["abd"]);
+    });
+
+    it("should wait for more input before deciding of a negative lookahead", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ "a", g.not("b"), g.any() ]);
+
+      const parser = feed(grammar, "a");
+      assert.isTrue(parser.running);
+
+      parser.accept("b");
+      assert.equal(parser.status, "failure");
+    });
+
+    it("should treat run() as the end of the input", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.oneOrMore("a"), g.not(g.any()) ], f.JOIN);
+
+      const parser = feed(grammar, "aa", "a");
+      assert.isTrue(parser.running);
+
+      parser.run();
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "aaa");
+    });
+
+    it("should fail at the end of the input", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice("abc", "abd"));
+
+      const parser = feed(grammar, "ab");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "line 1, col 3: expected \"c\" or \"d\", found end of input");
+    });
+
+  });
+
+  describe("matchAll", function() {
+    const grammar = new g.Grammar();
+    grammar.define("S", g.oneOrMore(g.charset("a-z")), f.JOIN);
+
+    it("should skip one token after a failure by default", function() {
+      const parser = grammar.parser("S");
+      parser.accept("ab 12cd");
+
+      assert.deepEqual([ ...parser.matchAll() ], [ "ab", "cd" ]);
+    });
+
+    it("should skip the given number of tokens after a failure", function() {
+      const parser = grammar.parser("S");
+      parser.accept("ab 12cd");
+
+      assert.deepEqual([ ...parser.matchAll({ skip: 2 }) ], [ "ab", "d" ]);
+    });
+
+    it("should stop at the first failure if skipping is disabled", function() {
+      const parser = grammar.parser("S");
+      parser.accept("ab 12cd");
+
+      assert.deepEqual([ ...parser.matchAll({ skip: false }) ], [ "ab" ]);
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().offset, 2);
+    });
+
+  });
+
+  describe("buffer compaction", function() {
+
+    it("should discard the tokens that were matched", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", "ab", f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("ab".repeat(100));
+      const result = [ ...parser.matchAll() ];
+
+      assert.equal(result.length, 100);
+      assert.equal(parser.base, 200);
+      assert.equal(parser.tokens.length, 0);
+    });
+
+    it("should keep the tokens reachable by a backtrack entry", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.choice([ g.oneOrMore("a"), "!" ], [ g.oneOrMore("a"), "?" ]), f.JOIN);
+
+      const parser = grammar.parser("S");
+      for(let i = 0; i < 10; ++i) {
+        parser.accept("aaaa");
+      }
+      parser.accept("?");
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "a".repeat(40)+"?");
+      assert.equal(parser.base, 0);
+    });
+
+    it("should keep the tokens reachable by a lookbehind", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.nat(-1, "a"), g.any() ], f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("ab");
+
+      assert.deepEqual([ ...parser.matchAll() ], [ "a" ]);
+    });
+
+    it("should report absolute positions", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ "ab", "\n" ], f.JOIN);
+
+      const parser = grammar.parser("S");
+      for(let chunk of [ "ab\n", "ab\n" ]) {
+        parser.accept(chunk);
+        assert.equal(parser.status, "success");
+        parser.restart();
+      }
+      parser.accept("ax");
+      parser.run();
+
+      assert.equal(parser.base, 6);
+      assert.include(parser.error(), { offset: 7, line: 3, column: 2 });
+    });
+
+  });
+
+  describe("incremental reparsing", function() {
+    function list(calls, options) {
+      const grammar = new g.Grammar({ memo: true, skip: "space" });
+      grammar.define("space", g.zeroOrMore(g.charset(" \n")));
+      grammar.define("List", [ g.consume("["), g.zeroOrMore(g.rule("Item"), g.consume(g.zeroOrOne(","))), g.consume("]") ], (...items) => items);
+      grammar.define("Item", g.choice(g.rule("List"), g.rule("number")), (item) => item);
+      grammar.define("number", g.join(g.oneOrMore(g.charset("0-9"))), (digits) => calls.push(digits) && Number(digits), options);
+
+      return grammar;
+    }
+
+    it("should return the same result as a full parse", function() {
+      const grammar = list([]);
+      const input = "[" + "[1, 2], ".repeat(50) + "3]";
+      const parser = run(grammar.parser("List"), input);
+      const steps = parser.cc;
+
+      parser.reparse(100, 1, "42");
+      const expected = run(grammar.parser("List"), input.slice(0, 100) + "42" + input.slice(101));
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), expected.result());
+      assert.isBelow(parser.cc, steps/2);
+    });
+
+    it("should reuse the results of the rules outside of the edit", function() {
+      const calls = [];
+      const parser = run(list(calls).parser("List"), "[1, [22, 333], 4444]");
+      calls.length = 0;
+
+      parser.reparse(5, 2, "55");
+
+      assert.deepEqual(parser.result(), [ 1, [ 55, 333 ], 4444 ]);
+      assert.deepEqual(calls, [ "55" ]);
+    });
+
+    it("should evaluate again the rules that examined the edit", function() {
+      const calls = [];
+      const parser = run(list(calls).parser("List"), "[1, 2]");
+      calls.length = 0;
+
+      parser.reparse(2, 0, "0");
+
+      assert.deepEqual(parser.result(), [ 10, 2 ]);
+      assert.deepEqual(calls, [ "10" ]);
+    });
+
+    it("should move the nodes after the edit", function() {
+      const parser = run(list([]).parser("List", undefined, { ast: true }), "[1, 22]");
+
+      parser.reparse(1, 1, "333");
+      const [ first, second ] = parser.result().children.map((item) => item.children[0]);
+
+      assert.include(first, { type: "number", text: "333", start: 1, end: 4 });
+      assert.include(second, { type: "number", text: "22", start: 6, end: 8 });
+    });
+
+    it("should not move the results depending on their location", function() {
+      const parser = run(list([], { location: true }).parser("List"), "[1,\n2]");
+      parser.reparse(0, 0, "\n");
+
+      assert.deepEqual(parser.result(), run(list([], { location: true }).parser("List"), "\n[1,\n2]").result());
+    });
+
+    it("should report the same errors as a full parse", function() {
+      const grammar = list([]);
+      const parser = run(grammar.parser("List"), "[1, [2, 3], 4]");
+
+      parser.reparse(8, 1, "x");
+
+      assert.equal(parser.status, "failure");
+      assert.deepEqual(parser.error(), run(grammar.parser("List"), "[1, [2, x], 4]").error());
+
+      parser.reparse(8, 1, "3");
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ 1, [ 2, 3 ], 4 ]);
+    });
+
+    it("should edit binary input", function() {
+      const grammar = new g.Grammar({ input: "binary", memo: true });
+      grammar.define("S", g.oneOrMore(g.rule("Pair")));
+      grammar.define("Pair", [ g.byte(0x00), g.uint(2) ]);
+
+      const parser = grammar.parser("S");
+      parser.accept([ 0, 0, 1, 0, 0, 2 ]);
+      parser.run();
+      parser.reparse(3, 0, [ 0, 1, 0 ]);
+
+      assert.deepEqual(parser.result(), [ [ 0, 1 ], [ 0, 256 ], [ 0, 2 ] ]);
+    });
+
+    it("should keep the whole input to reparse it", function() {
+      const grammar = new g.Grammar({ memo: true });
+      grammar.define("S", [ g.oneOrMore(g.charset("a-z")), "\n" ], f.JOIN);
+
+      function parse(options) {
+        const parser = grammar.parser("S", undefined, options);
+        for(let chunk of [ "ab\n", "cd\n" ]) {
+          parser.accept(chunk);
+          parser.restart();
+        }
+        parser.accept("ef\n");
+        parser.run();
+
+        return parser;
+      }
+
+      const compacted = parse();
+      assert.equal(compacted.base, 6);
+      assert.throws(() => compacted.reparse(1, 1, "x"), TypeError, "compact: false");
+
+      const parser = parse({ compact: false });
+      assert.equal(parser.base, 0);
+      parser.reparse(1, 1, "xyz");
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "axyz\n");
+    });
+
+    it("should only reparse a complete input", function() {
+      const parser = list([]).parser("List");
+      parser.accept("[1, 2");
+
+      assert.throws(() => parser.reparse(1, 1, "3"), TypeError);
+      parser.run();
+      assert.throws(() => parser.reparse(6, 1, "3"), TypeError);
+    });
+
+  });
+
+  describe("unicode", function() {
+
+    it("should split the input into code points", function() {
+      const grammar = new g.Grammar({ unicode: true });
+      grammar.define("S", [ g.any(), g.charset("\u{1F600}-\u{1F64F}"), "é😀" ], f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("𝒜🙏é😀");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "𝒜🙏é😀");
+      assert.equal(parser.tx, 4);
+    });
+
+    it("should split the input into code units by default", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.any(), g.any() ], f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("😀");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "😀");
+      assert.equal(parser.tx, 2);
+    });
+
+    it("should match Unicode properties", function() {
+      const grammar = new g.Grammar({ unicode: true });
+      grammar.define("S", g.oneOrMore(g.property("L")), f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("Ωmega𝒜1");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "Ωmega𝒜");
+    });
+
+    it("should report positions in code points", function() {
+      const grammar = new g.Grammar({ unicode: true });
+      grammar.define("S", [ g.any(), "\n", "😀😀", g.property("Nd") ]);
+
+      const parser = grammar.parser("S");
+      parser.accept("😀\n😀😀x");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.deepEqual(parser.error(), {
+        offset: 4,
+        line: 2,
+        column: 3,
+        expected: [ { type: "charset", value: g.property("Nd")._set } ],
+        found: "x",
+        message: "line 2, col 3: expected \\p{Nd}, found \"x\"",
+      });
+    });
+
+    it("should join the surrogate pairs split between chunks", function() {
+      const grammar = new g.Grammar({ unicode: true });
+      grammar.define("S", g.oneOrMore(g.charset("😀")), f.JOIN);
+
+      const parser = grammar.parser("S");
+      parser.accept("😀\uD83D");
+      assert.isTrue(parser.running);
+      parser.accept("\uDE00");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), "😀😀");
+    });
+
+    it("should match grapheme clusters", function() {
+      if (typeof Intl.Segmenter === "undefined") {
+        this.skip();
+      }
+
+      for(let unicode of [ false, true ]) {
+        const grammar = new g.Grammar({ unicode });
+        grammar.define("S", g.oneOrMore(g.grapheme()));
+
+        const parser = grammar.parser("S");
+        parser.accept("👨‍👩‍👧e\u0301");
+        assert.isTrue(parser.running); // the last cluster may continue
+        parser.accept("x");
+        parser.run();
+
+        assert.equal(parser.status, "success");
+        assert.deepEqual(parser.result(), [ "👨‍👩‍👧", "e\u0301", "x" ]);
+      }
+    });
+
+    it("should require Intl.Segmenter to match grapheme clusters", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.grapheme());
+
+      const segmenter = Intl.Segmenter;
+      Intl.Segmenter = undefined;
+      try {
+        const parser = grammar.parser("S");
+        assert.throws(() => parser.accept("x"), TypeError, "Intl.Segmenter");
+      }
+      finally {
+        Intl.Segmenter = segmenter;
+      }
+    });
+
+  });
+
+  describe("operators", function() {
+
+    function grammar(options) {
+      const grammar = new g.Grammar(options);
+      grammar.define("E", g.operators(g.rule("atom"), [
+        { infix: "=", precedence: 0, assoc: "right" },
+        { infix: g.charset("+-"), precedence: 1 },
+        { infix: "*", precedence: 2 },
+        { prefix: "-", precedence: 3 },
+        { postfix: "!", precedence: 4 },
+      ]), (e) => e);
+      grammar.define("atom", g.choice(g.charset("a-z"), [ g.consume("("), g.rule("E"), g.consume(")") ]), (e) => e);
+
+      return grammar;
+    }
+
+    it("should use the precedence and the associativity of the operators", function() {
+      for(let options of [ {}, { optimize: true, compile: true } ]) {
+        for(let [ input, expected ] of [
+          [ "a+b*c", [ "a", "+", [ "b", "*", "c" ] ] ],
+          [ "a-b-c", [ [ "a", "-", "b" ], "-", "c" ] ],
+          [ "a=b=c", [ "a", "=", [ "b", "=", "c" ] ] ],
+          [ "-a!*b", [ [ "-", [ "a", "!" ] ], "*", "b" ] ],
+          [ "(a+b)*c", [ [ "a", "+", "b" ], "*", "c" ] ],
+        ]) {
+          const parser = grammar(options).parser("E");
+          parser.accept(input);
+          parser.run();
+
+          assert.equal(parser.status, "success");
+          assert.deepEqual(parser.result(), expected, input);
+        }
+      }
+    });
+
+    it("should call the actions of the operators", function() {
+      const grammar = new g.Grammar();
+      grammar.define("E", g.operators(g.rule("number"), [
+        { infix: g.charset("+-"), precedence: 1, action: (a, op, b) => (op === "+") ? a+b : a-b },
+        { infix: g.consume("*"), precedence: 2, action: (a, b) => a*b },
+        { infix: "^", precedence: 3, assoc: "right", action: (a, op, b) => a**b },
+        { prefix: "-", precedence: 4, action: function(op, a) { return this.sign*a; } },
+      ]), (e) => e);
+      grammar.define("number", g.join(g.oneOrMore(g.charset("0-9"))), (n) => parseInt(n));
+
+      const parser = grammar.parser("E", { sign: -1 });
+      parser.accept("2^3^2-10-2*-3");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), 508);
+    });
+
+    it("should leave the trailing operators unmatched", function() {
+      const parser = grammar().parser("E");
+      parser.accept("a+b*");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ "a", "+", "b" ]);
+      assert.equal(parser.tx, 3);
+    });
+
+  });
+
+  describe("skip rule", function() {
+
+    function grammar(options) {
+      const grammar = new g.Grammar({ skip: "space", ...options });
+      grammar.define("space", g.zeroOrMore(g.choice(g.charset(" \n"), [ "#", g.zeroOrMore(g.anyExcept("\n")) ])));
+      grammar.define("List", [ "(", g.zeroOrOne(g.rule("Item"), g.zeroOrMore(",", g.rule("Item"))), ")" ], (...items) => items.filter((item) => typeof item !== "string"));
+      grammar.define("Item", g.choice(g.rule("List"), g.rule("number")), undefined, { loc: true });
+      grammar.define("number", g.join(g.oneOrMore(g.charset("0-9"))), (n) => parseInt(n));
+
+      return grammar;
+    }
+
+    it("should skip the whitespace and the comments between the tokens", function() {
+      for(let options of [ {}, { optimize: true, compile: true }, { memo: true } ]) {
+        const parser = grammar(options).parser("List");
+        parser.accept(" ( 1 , (23,4) # comment\n ,5)");
+        parser.run();
+
+        assert.equal(parser.status, "success");
+        assert.deepEqual(parser.result(), [ [ 1 ], [ [ [ 23 ], [ 4 ] ] ], [ 5 ] ]);
+      }
+    });
+
+    it("should not skip inside lexical rules", function() {
+      const parser = grammar().parser("List");
+      parser.accept("(1 2)");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "line 1, col 4: expected \",\" or \")\", found \"2\"");
+    });
+
+    it("should match the multi-character literals as a whole", function() {
+      const grammar = new g.Grammar({ skip: "space" });
+      grammar.define("space", g.zeroOrMore(g.charset(" ")));
+      grammar.define("Stmt", [ "while", g.rule("name") ]);
+      grammar.define("name", g.join(g.oneOrMore(g.charset("a-z"))));
+
+      const parser = grammar.parser("Stmt");
+      parser.accept("w h i l e x");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "line 1, col 2: expected \"h\", found \" \"");
+    });
+
+    it("should separate a keyword from the next identifier", function() {
+      const grammar = new g.Grammar({ skip: "space" });
+      grammar.define("space", g.zeroOrMore(g.charset(" ")));
+      grammar.define("Stmt", [ g.rule("while"), g.rule("name") ], (keyword, name) => name);
+      grammar.define("while", [ "while", g.not(g.charset("a-z")) ]);
+      grammar.define("name", g.join(g.oneOrMore(g.charset("a-z"))), (name) => name);
+
+      const parser = grammar.parser("Stmt");
+      parser.accept("  while  whilex");
+      parser.run();
+      assert.equal(parser.result(), "whilex");
+
+      const other = grammar.parser("Stmt");
+      other.accept("whilex");
+      other.run();
+      assert.equal(other.status, "failure");
+    });
+
+    it("should start the spans of the sub-rules after the skipped input", function() {
+      const parser = grammar().parser("List");
+      parser.accept("(  42 )");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result()[0].loc.start, { offset: 3, line: 1, column: 4 });
+    });
+
+  });
+
+  describe("case-insensitive matching", function() {
+
+    it("should match the case variants", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.litteral("select", { ignoreCase: true }), g.ichar("ß"), g.icharset("a-z") ]);
+
+      for(let input of [ "selectßa", "SELECTẞZ", "ſeLeCtßK" ]) {
+        const parser = grammar.parser("S");
+        parser.accept(input.slice(0, 3));
+        parser.accept(input.slice(3));
+        parser.run();
+
+        assert.equal(parser.status, "success");
+        assert.deepEqual(parser.result(), [ input.slice(0, 6), input[6], input[7] ]);
+      }
+    });
+
+    it("should use the full case folding for the litterals", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", [ g.litteral("straße", { ignoreCase: true }), g.litteral("FILE", { ignoreCase: true }) ]);
+
+      for(let input of [ "straßefile", "STRASSEFILE", "StraẞeFiLe", "strassEﬁle" ]) {
+        const parser = grammar.parser("S");
+        parser.accept(input.slice(0, 5));
+        parser.accept(input.slice(5));
+        parser.run();
+
+        assert.equal(parser.status, "success", input);
+        assert.deepEqual(parser.result().join(""), input);
+      }
+
+      const parser = grammar.parser("S");
+      parser.accept("STRAßX");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "line 1, col 6: expected \"e\", found \"X\"");
+    });
+
+    it("should report the expected characters", function() {
+      const grammar = new g.Grammar();
+      grammar.define("S", g.litteral("select", { ignoreCase: true }));
+
+      const parser = grammar.parser("S");
+      parser.accept("SELX");
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "line 1, col 4: expected \"e\", found \"X\"");
+    });
+
+  });
+
+  describe("binary input", function() {
+
+    it("should match bytes and byte ranges", function() {
+      const grammar = new g.Grammar({ input: "binary" });
+      grammar.define("S", [ g.bytes("GIF"), g.oneOrMore(g.byte([ 0x30, 0x39 ], "a")) ]);
+
+      const parser = grammar.parser("S");
+      parser.accept(Buffer.from("GIF89a"));
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ new Uint8Array([ 0x47, 0x49, 0x46 ]), 0x38, 0x39, 0x61 ]);
+    });
+
+    it("should decode integers", function() {
+      const grammar = new g.Grammar({ input: "binary" });
+      grammar.define("S", [ g.uint(2), g.uint(2, "le"), g.int(1), g.int(3, "le"), g.uint(8) ]);
+
+      const parser = grammar.parser("S");
+      parser.accept(new Uint8Array([ 0x01, 0x02, 0x01, 0x02, 0xFF, 0xFE, 0xFF, 0xFF ]));
+      parser.accept([ 0, 0, 0, 0, 0, 0, 1, 0 ]);
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ 0x0102, 0x0201, -1, -2, 256n ]);
+    });
+
+    it("should wait for the remaining bytes of an integer", function() {
+      const grammar = new g.Grammar({ input: "binary" });
+      grammar.define("S", g.uint(4), (n) => n);
+
+      const parser = grammar.parser("S");
+      parser.accept([ 0xDE, 0xAD ]);
+      assert.equal(parser.running, true);
+      parser.accept([ 0xBE, 0xEF ]);
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), 0xDEADBEEF);
+    });
+
+    it("should report the errors using offsets", function() {
+      const grammar = new g.Grammar({ input: "binary" });
+      grammar.define("S", [ g.byte(0x01), g.choice(g.byte([ 0x30, 0x39 ], 0x41), g.uint(2, "le")) ]);
+
+      const parser = grammar.parser("S");
+      parser.accept([ 0x01, 0x42 ]);
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "offset 1: expected [0x30-0x39, 0x41] or uint16le, found 0x42");
+    });
+
+    it("should reject the text instructions", function() {
+      const grammar = new g.Grammar({ input: "binary" });
+
+      assert.throws(() => grammar.define("S", g.charset("a-z")), TypeError);
+      assert.throws(() => grammar.define("S", "GIF"), TypeError);
+    });
+
+  });
+
+  describe("token input", function() {
+    const tokens = [
+      { type: "number", value: 1 },
+      { type: "op", value: "+" },
+      { type: "number", value: 2 },
+    ];
+
+    it("should match tokens by type", function() {
+      const grammar = new g.Grammar({ input: "tokens" });
+      grammar.define("S", [ g.token("number"), g.token("op"), g.token("number") ], (a, op, b) => a.value+b.value);
+
+      const parser = grammar.parser("S");
+      parser.accept(tokens);
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.equal(parser.result(), 3);
+    });
+
+    it("should match tokens by predicate", function() {
+      const grammar = new g.Grammar({ input: "tokens" });
+      grammar.define("S", g.oneOrMore(g.satisfy(function(token) { return token.value !== this.excluded; })));
+
+      const parser = grammar.parser("S", { excluded: 2 });
+      parser.accept(tokens);
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), tokens.slice(0, 2));
+    });
+
+    it("should report the errors using the token types", function() {
+      const grammar = new g.Grammar({ input: "tokens" });
+      grammar.define("S", [ g.token("number"), g.choice(g.token("number"), g.satisfy((t) => t.value === "-", "minus")) ]);
+
+      const parser = grammar.parser("S");
+      parser.accept(tokens);
+      parser.run();
+
+      assert.equal(parser.status, "failure");
+      assert.equal(parser.error().message, "offset 1: expected number or minus, found op");
+    });
+
+    it("should match any token", function() {
+      const grammar = new g.Grammar({ input: "tokens" });
+      grammar.define("S", g.oneOrMore(g.any()));
+
+      const parser = grammar.parser("S");
+      parser.accept([ 0, "", false ]);
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.deepEqual(parser.result(), [ 0, "", false ]);
+    });
+
+  });
+
+  describe("limits", function() {
+    const grammar = new g.Grammar();
+    grammar.define("spin", g.zeroOrMore(g.zeroOrOne("x")));
+    grammar.define("nested", g.choice([ "a", g.rule("nested") ], "b"));
+
+    it("should not limit the machine by default", function() {
+      const parser = grammar.parser("nested");
+      parser.accept("a".repeat(1000) + "b");
+      parser.run();
+
+      assert.equal(parser.status, "success");
+      assert.isUndefined(parser.limit);
+    });
+
+    it("should abort the machine after a number of steps", function() {
+      const parser = grammar.parser("spin", undefined, { maxSteps: 1000 });
+      parser.accept("xxy");
+      parser.run();
+
+      assert.equal(parser.status, "aborted");
+      assert.equal(parser.cc, 1000);
+      assert.isFalse(parser.running);
+      assert.isUndefined(parser.result());
+      assert.deepEqual(parser.error(), {
+        offset: 2,
+        line: 1,
+        column: 3,
+        expected: [],
+        found: "y",
+        limit: "maxSteps",
+        message: "line 1, col 3: step limit exceeded",
+      });
+    });
+
+    it("should abort the machine if the stack is too deep", function() {
+      const parser = grammar.parser("spin", undefined, { maxStack: 100 });
+      parser.accept("xxy");
+      parser.run();
+
+      assert.equal(parser.status, "aborted");
+      assert.equal(parser.error().limit, "maxStack");
+      assert.equal(parser.sx, 101);
+    });
+
+    it("should abort the machine as soon as the rules are nested too deeply", function() {
+      const parser = grammar.parser("nested", undefined, { maxStack: 100 });
+      parser.accept("a".repeat(1000));
+      parser.run();
+
+      assert.equal(parser.status, "aborted");
+      assert.equal(parser.error().limit, "maxStack");
+      assert.isAtMost(parser.sx, 104); // a call pushes 4 items
+      assert.isBelow(parser.tx, 25);
+    });
+
+    it("should abort the machine if the backtrack chain is too long", function() {
+      const parser = grammar.parser("nested", undefined, { maxBacktrack: 100 });
+      parser.accept("a".repeat(1000));
+      parser.run();
+
+      assert.equal(parser.status, "aborted");
+      assert.equal(parser.error().limit, "maxBacktrack");
+
+      const shallow = grammar.parser("nested", undefined, { maxBacktrack: 100 });
+      shallow.accept("a".repeat(50) + "b");
+      shallow.run();
+
+      assert.equal(shallow.status, "success");
+    });
+
+    it("should abort the machine after the deadline", function() {
+      const parser = grammar.parser("spin", undefined, { deadline: Date.now()+20 });
+      parser.accept("xxy");
+      parser.run();
+
+      assert.equal(parser.status, "aborted");
+      assert.equal(parser.error().limit, "deadline");
+    });
+
+    it("should stop matchAll() when the machine is aborted", function() {
+      const parser = grammar.parser("spin", undefined, { maxSteps: 1000 });
+      parser.accept("xxy");
+
+      assert.deepEqual([ ...parser.matchAll() ], []);
+      assert.equal(parser.status, "aborted");
+    });
+
+  });
+
   describe("external function", function() {
 
     it("should be called when a rule is reduced", function() {
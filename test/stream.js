@@ -0,0 +1,181 @@
+/* Pegparse - A PEG engine for Node.js
+ * Copyright (c) 2021 Sylvain Leroux
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+"use strict";
+
+const assert = require("chai").assert;
+const { Readable } = require("stream");
+const g = require("../lib/grammar.js");
+const f = require("../lib/func.js");
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const result = [];
+    stream.on("data", (data) => result.push(data));
+    stream.on("end", () => resolve(result));
+    stream.on("error", reject);
+  });
+}
+
+describe("stream", function() {
+  const grammar = new g.Grammar();
+  grammar.define("word", g.oneOrMore(g.charset("a-z", "é")), f.JOIN);
+
+  describe("ParserStream", function() {
+
+    it("should emit the matches found in the input", async function() {
+      const stream = Readable.from([ "ab", "c d", "ef" ]).pipe(grammar.stream("word"));
+
+      assert.deepEqual(await collect(stream), [ "abc", "def" ]);
+    });
+
+    it("should decode the buffers", async function() {
+      const buffer = Buffer.from("café thé");
+      const chunks = [ buffer.slice(0, 4), buffer.slice(4, 8), buffer.slice(8) ];
+      const stream = Readable.from(chunks).pipe(grammar.stream("word"));
+
+      assert.deepEqual(await collect(stream), [ "café", "thé" ]);
+    });
+
+    it("should skip the given number of tokens after a failure", async function() {
+      const stream = Readable.from([ "ab 12cd" ]).pipe(grammar.stream("word", { skip: 2 }));
+
+      assert.deepEqual(await collect(stream), [ "ab", "d" ]);
+    });
+
+    it("should emit an error on failure if skipping is disabled", async function() {
+      const stream = grammar.stream("word", { skip: false });
+      const result = [];
+      stream.on("data", (data) => result.push(data));
+      stream.end("ab\ncd\n!");
+
+      const error = await new Promise((resolve) => stream.on("error", resolve));
+      assert.instanceOf(error, SyntaxError);
+      assert.include(error, { offset: 2, line: 1, column: 3 });
+      assert.deepEqual(result, [ "ab" ]);
+    });
+
+    it("should propagate the errors thrown by the actions", async function() {
+      const faulty = new g.Grammar();
+      faulty.define("S", "a", () => { throw new Error("oops"); });
+
+      const stream = Readable.from([ "a" ]).pipe(faulty.stream("S"));
+
+      try {
+        await collect(stream);
+        assert.fail("should have thrown");
+      }
+      catch(err) {
+        assert.equal(err.message, "oops");
+      }
+    });
+
+    it("should emit an error on null matches", async function() {
+      const nullable = new g.Grammar();
+      nullable.define("item", g.charset("a-z"), (item) => (item === "n") ? null : item);
+
+      const result = [];
+      const stream = nullable.stream("item");
+      stream.on("data", (data) => result.push(data));
+      stream.end("a,b,n,c,d");
+
+      const error = await new Promise((resolve) => stream.on("error", resolve));
+      assert.instanceOf(error, TypeError);
+      assert.deepEqual(result, [ "a", "b" ]);
+    });
+
+    it("should accept token input", async function() {
+      const tokens = new g.Grammar({ input: "tokens" });
+      tokens.define("pair", [ g.token("name"), g.token("number") ], (name, number) => `${name.value}=${number.value}`);
+
+      const chunks = [ [ { type: "name", value: "a" } ], [ { type: "number", value: 1 }, { type: "name", value: "b" }, { type: "number", value: 2 } ] ];
+      const stream = Readable.from(chunks).pipe(tokens.stream("pair"));
+
+      assert.deepEqual(await collect(stream), [ "a=1", "b=2" ]);
+    });
+
+    it("should apply backpressure", function() {
+      const stream = grammar.stream("word");
+
+      let accepted = 0;
+      while(stream.write("abc ".repeat(1024))) {
+        ++accepted;
+        assert.isBelow(accepted, 10);
+      }
+
+      // the chunks are not processed until the matches are consumed
+      assert.equal(stream.readableLength, 1024);
+    });
+
+  });
+
+  describe("matchStream", function() {
+
+    it("should pass the buffers as is for binary input", async function() {
+      const records = new g.Grammar({ input: "binary" });
+      records.define("record", [ g.byte(0x02), g.uint(2, "le") ], (stx, n) => n);
+
+      const result = [];
+      for await (const n of records.matchStream([ Buffer.from([ 0x02, 0x01 ]), Buffer.from([ 0x00, 0x02, 0x00, 0x01 ]) ], "record")) {
+        result.push(n);
+      }
+
+      assert.deepEqual(result, [ 1, 256 ]);
+    });
+
+    it("should iterate over the matches", async function() {
+      const result = [];
+      for await (const word of grammar.matchStream(Readable.from([ "ab", "c d", "ef" ]), "word")) {
+        result.push(word);
+      }
+
+      assert.deepEqual(result, [ "abc", "def" ]);
+    });
+
+    it("should throw on failure if skipping is disabled", async function() {
+      const result = [];
+      try {
+        for await (const word of grammar.matchStream([ "ab", " cd" ], "word", { skip: false })) {
+          result.push(word);
+        }
+        assert.fail("should have thrown");
+      }
+      catch(err) {
+        assert.instanceOf(err, SyntaxError);
+        assert.equal(err.offset, 2);
+      }
+
+      assert.deepEqual(result, [ "ab" ]);
+    });
+
+    it("should throw if a limit is exceeded", async function() {
+      const spin = new g.Grammar();
+      spin.define("S", g.zeroOrMore(g.zeroOrOne("x")));
+
+      try {
+        for await (const match of spin.matchStream([ "xxy" ], "S", { maxSteps: 1000 })) {
+          assert.fail(`unexpected match ${match}`);
+        }
+        assert.fail("should have thrown");
+      }
+      catch(err) {
+        assert.instanceOf(err, RangeError);
+        assert.equal(err.limit, "maxSteps");
+      }
+    });
+
+  });
+
+});
@@ -23,6 +23,12 @@ describe("module", function() {
 
 require("./grammar");
 require("./parser");
+require("./notation");
+require("./stream");
+require("./compiler");
+require("./generator");
+require("./optimizer");
+require("./ast");
 
 require("./examples/words");
 require("./examples/parenthesis");